@@ -0,0 +1,194 @@
+'use strict';
+// Operations dashboard: polls /api/admin/overview and renders the metrics,
+// live sessions, recent guardrail events and the CRM outbox. Remote access
+// needs ADMIN_TOKEN, kept in sessionStorage.
+(function () {
+    const TOKEN_KEY = 'revAdminToken';
+    const REFRESH_MS = 2000;
+
+    const summaryEl = document.getElementById('summary');
+    const loginEl = document.getElementById('login');
+    const tokenInput = document.getElementById('token');
+    const loginError = document.getElementById('loginError');
+    const dashboardEl = document.getElementById('dashboard');
+    const cardsEl = document.getElementById('cards');
+    const sessionsEl = document.getElementById('sessions');
+    const guardrailsEl = document.getElementById('guardrails');
+    const exportLeadsBtn = document.getElementById('exportLeads');
+
+    let timer = null;
+
+    function values(metrics, name) {
+        return (metrics[name] && metrics[name].values) || [];
+    }
+
+    function total(metrics, name, filter = () => true) {
+        return values(metrics, name).filter(entry => filter(entry.labels)).reduce((sum, entry) => sum + entry.value, 0);
+    }
+
+    function breakdown(metrics, name, label) {
+        const parts = {};
+        values(metrics, name).forEach((entry) => {
+            const key = entry.labels[label];
+            parts[key] = (parts[key] || 0) + entry.value;
+        });
+        return Object.entries(parts).map(([key, value]) => `${key}: ${Math.round(value)}`).join(', ') || 'none';
+    }
+
+    function latency(metrics, name) {
+        const series = values(metrics, name);
+        const count = series.reduce((sum, entry) => sum + entry.count, 0);
+        if (!count) return { value: '–', detail: 'no calls yet' };
+        const mean = series.reduce((sum, entry) => sum + entry.sum, 0) / count;
+        const p95 = Math.max(...series.map(entry => entry.p95 || 0));
+        return { value: `${mean.toFixed(2)}s`, detail: `mean of ${count}, p95 ≤ ${p95 === Infinity ? '>32' : p95}s` };
+    }
+
+    function formatAge(iso) {
+        if (!iso) return '–';
+        const seconds = Math.max(0, Math.round((Date.now() - Date.parse(iso)) / 1000));
+        if (seconds < 60) return `${seconds}s ago`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+        return `${Math.floor(seconds / 3600)}h ago`;
+    }
+
+    function card(label, value, detail) {
+        const el = document.createElement('div');
+        el.className = 'card';
+        [['label', label], ['value', value], ['detail', detail]].forEach(([className, text]) => {
+            const part = document.createElement('div');
+            part.className = className;
+            part.textContent = text;
+            el.appendChild(part);
+        });
+        return el;
+    }
+
+    function render(data) {
+        const m = data.metrics;
+        const healthy = data.health.healthy !== false;
+        summaryEl.textContent = `${data.provider} / ${data.model} · knowledge v${data.knowledgeVersion} · up ${Math.round(data.uptimeSeconds / 60)} min · `;
+        const healthEl = document.createElement('span');
+        healthEl.textContent = healthy ? 'model healthy' : `model unavailable (${data.health.error})`;
+        if (!healthy) healthEl.className = 'down';
+        summaryEl.appendChild(healthEl);
+
+        const transcription = latency(m, 'rev_transcription_duration_seconds');
+        const generation = latency(m, 'rev_generation_duration_seconds');
+        cardsEl.replaceChildren(
+            card('Active sessions', total(m, 'rev_ws_sessions_active'), `${breakdown(m, 'rev_ws_sessions_active', 'channel')} · ${total(m, 'rev_ws_connections_total')} connections since start`),
+            card('Turns', total(m, 'rev_turns_total'), breakdown(m, 'rev_turns_total', 'mode')),
+            card('Transcription', transcription.value, transcription.detail),
+            card('Generation', generation.value, generation.detail),
+            card('Upstream errors', total(m, 'rev_upstream_errors_total'), breakdown(m, 'rev_upstream_errors_total', 'code')),
+            card('Interrupts', total(m, 'rev_interrupts_total'), breakdown(m, 'rev_interrupts_total', 'kind')),
+            card('Tokens', total(m, 'rev_tokens_total').toLocaleString(), breakdown(m, 'rev_tokens_total', 'type')),
+            card('Audio processed', `${(total(m, 'rev_audio_input_seconds_total') / 60).toFixed(1)} min`, 'user speech received'),
+            card('Guardrails', total(m, 'rev_guardrail_events_total'), breakdown(m, 'rev_guardrail_events_total', 'category')),
+            card('Leads', total(m, 'rev_leads_total'), breakdown(m, 'rev_leads_total', 'source')),
+            card('CRM outbox', `${data.crm.pending} pending`, data.crm.configured ? `${data.crm.dead} dead, ${data.crm.delivered} delivered` : 'CRM_WEBHOOK_URL not set')
+        );
+
+        renderRows(sessionsEl, data.sessions.map(session => [
+            session.sessionId,
+            session.channel,
+            session.siteId,
+            session.dealerId || '–',
+            session.tenantId || '–',
+            session.language,
+            session.live ? `${session.mode} (live)` : session.mode,
+            session.turns,
+            session.messages,
+            formatAge(session.connectedAt),
+            formatAge(session.lastActivityAt),
+            session.state
+        ]), 12, 'No open sessions');
+
+        renderRows(guardrailsEl, data.guardrailEvents.map(event => [
+            formatAge(event.at),
+            event.sessionId.slice(0, 8),
+            event.stage,
+            event.rule,
+            event.action,
+            event.excerpt || (event.count ? `${event.count} redacted` : '–')
+        ]), 6, 'No guardrail events since start');
+    }
+
+    function renderRows(tbody, rows, columns, emptyText) {
+        tbody.replaceChildren(...rows.map((values) => {
+            const row = document.createElement('tr');
+            values.forEach((value) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            return row;
+        }));
+        if (!rows.length) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = columns;
+            cell.textContent = emptyText;
+            row.appendChild(cell);
+            tbody.appendChild(row);
+        }
+    }
+
+    function showLogin(message) {
+        clearTimeout(timer);
+        dashboardEl.hidden = true;
+        loginEl.hidden = false;
+        summaryEl.textContent = 'Sign in to view the dashboard.';
+        loginError.textContent = message || '';
+        tokenInput.focus();
+    }
+
+    async function refresh() {
+        const token = sessionStorage.getItem(TOKEN_KEY);
+        try {
+            const response = await fetch('/api/admin/overview', {
+                headers: token ? { Authorization: `Bearer ${token}` } : {},
+                cache: 'no-store'
+            });
+            if (response.status === 401) {
+                sessionStorage.removeItem(TOKEN_KEY);
+                showLogin(token ? 'That token was not accepted.' : '');
+                return;
+            }
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            loginEl.hidden = true;
+            dashboardEl.hidden = false;
+            render(await response.json());
+        } catch (error) {
+            summaryEl.textContent = `Could not load metrics: ${error.message}`;
+        }
+        timer = setTimeout(refresh, REFRESH_MS);
+    }
+
+    // The export needs the token header, so it is fetched and saved as a blob.
+    async function exportLeads() {
+        const token = sessionStorage.getItem(TOKEN_KEY);
+        try {
+            const response = await fetch('/admin/leads?format=csv', { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await response.blob());
+            link.download = `leads-${new Date().toISOString().slice(0, 10)}.csv`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        } catch (error) {
+            summaryEl.textContent = `Could not export leads: ${error.message}`;
+        }
+    }
+
+    exportLeadsBtn.addEventListener('click', exportLeads);
+
+    loginEl.addEventListener('submit', (event) => {
+        event.preventDefault();
+        sessionStorage.setItem(TOKEN_KEY, tokenInput.value.trim());
+        tokenInput.value = '';
+        refresh();
+    });
+
+    refresh();
+})();
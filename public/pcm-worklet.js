@@ -0,0 +1,43 @@
+'use strict';
+
+class Pcm16CaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const opts = (options && options.processorOptions) || {};
+        this.frameSamples = opts.frameSamples || 1600;
+        this.buffer = new Int16Array(this.frameSamples);
+        this.offset = 0;
+        this.port.onmessage = (event) => {
+            if (event.data && event.data.type === 'flush') {
+                this.flush();
+                this.port.postMessage({ type: 'flushed' });
+            }
+        };
+    }
+
+    flush() {
+        if (this.offset === 0) return;
+        const pcm = this.buffer.slice(0, this.offset).buffer;
+        this.port.postMessage({ type: 'audio', pcm }, [pcm]);
+        this.offset = 0;
+    }
+
+    process(inputs) {
+        const channel = inputs[0] && inputs[0][0];
+        if (channel) {
+            for (let i = 0; i < channel.length; i++) {
+                const s = Math.max(-1, Math.min(1, channel[i]));
+                this.buffer[this.offset++] = s < 0 ? s * 0x8000 : s * 0x7fff;
+                if (this.offset === this.frameSamples) {
+                    const pcm = this.buffer.buffer;
+                    this.port.postMessage({ type: 'audio', pcm }, [pcm]);
+                    this.buffer = new Int16Array(this.frameSamples);
+                    this.offset = 0;
+                }
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('pcm16-capture', Pcm16CaptureProcessor);
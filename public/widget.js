@@ -0,0 +1,1306 @@
+'use strict';
+// <rev-voice> custom element: the whole Rev client (connection, mic capture,
+// speech playback, text input) in a Shadow DOM, so it can be dropped into
+// dealer and partner pages without clashing with their styles.
+//
+//   <script src="https://rev.example.com/widget.js" data-site-key="pk_..." data-launcher></script>
+//
+// or place <rev-voice site-key="pk_..." launcher></rev-voice> yourself.
+(function () {
+    const AUDIO_FRAME_HEADER_BYTES = 8;
+    const CAPTURE_FRAME_SAMPLES = 1600;
+    const SESSION_TOKEN_KEY = 'revSessionToken';
+    const RECONNECT_BASE_DELAY_MS = 1000;
+    const RECONNECT_MAX_DELAY_MS = 30000;
+    const MAX_RECONNECT_ATTEMPTS = 8;
+    const PLAYBACK_LEAD_SECONDS = 0.05;
+
+    const scriptEl = document.currentScript;
+    const DEFAULT_SERVER_URL = scriptEl && scriptEl.src ? new URL(scriptEl.src).origin : window.location.origin;
+
+    // 'auto' answers in the language of each message.
+    const LANGUAGES = [
+        ['auto', 'Auto-detect'],
+        ['en', 'English'],
+        ['hi', 'Hindi'],
+        ['hinglish', 'Hinglish'],
+        ['mr', 'Marathi'],
+        ['bn', 'Bengali'],
+        ['gu', 'Gujarati'],
+        ['pa', 'Punjabi'],
+        ['ta', 'Tamil'],
+        ['te', 'Telugu'],
+        ['kn', 'Kannada'],
+        ['ml', 'Malayalam']
+    ];
+    const HINGLISH_SCRIPTS = [['roman', 'Roman'], ['devanagari', 'देवनागरी']];
+
+    // Message schemas shared with the server (shared/protocol.js), loaded once per page.
+    let protocolPromise = null;
+    function loadProtocol(serverUrl) {
+        if (window.RevProtocol) return Promise.resolve(window.RevProtocol);
+        if (!protocolPromise) {
+            protocolPromise = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = `${serverUrl}/protocol.js`;
+                script.onload = () => resolve(window.RevProtocol);
+                script.onerror = () => {
+                    protocolPromise = null;
+                    script.remove();
+                    reject(new Error('could not load protocol.js'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return protocolPromise;
+    }
+
+    function newTurnId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    const TOOL_LABELS = {
+        findDealer: 'Finding dealers',
+        bookTestRide: 'Booking your test ride',
+        calculateEmi: 'Calculating EMI',
+        checkChargingCost: 'Estimating charging cost',
+        captureLead: 'Saving your details'
+    };
+
+    // Sent with the form as the wording the user agreed to.
+    const LEAD_CONSENT_TEXT = 'I agree to be contacted by Revolt Motors or a Revolt dealer about a test ride.';
+    const LEAD_FIELDS = ['name', 'phone', 'city', 'model'];
+
+    function mapUiLangToLocale(value) {
+        switch ((value || '').toLowerCase()) {
+            case 'en': return 'en-IN';
+            case 'hi': return 'hi-IN';
+            case 'hinglish': return 'hi-IN';
+            case 'mr': return 'mr-IN';
+            case 'bn': return 'bn-IN';
+            case 'gu': return 'gu-IN';
+            case 'pa': return 'pa-IN';
+            case 'ta': return 'ta-IN';
+            case 'te': return 'te-IN';
+            case 'kn': return 'kn-IN';
+            case 'ml': return 'ml-IN';
+            default: return 'en-IN';
+        }
+    }
+
+    function extractSentences(buffer, flush) {
+        const sentences = [];
+        const boundary = /[.!?।]+["')\]]*\s+/g;
+        let start = 0;
+        let match;
+        while ((match = boundary.exec(buffer)) !== null) {
+            sentences.push(buffer.slice(start, match.index + match[0].length).trim());
+            start = match.index + match[0].length;
+        }
+        let rest = buffer.slice(start);
+        if (flush && rest.trim()) {
+            sentences.push(rest.trim());
+            rest = '';
+        }
+        return { sentences: sentences.filter(Boolean), rest };
+    }
+
+    function formatRupees(value) {
+        return `₹${Number(value).toLocaleString('en-IN')}`;
+    }
+
+    function toolCardLines(name, result) {
+        if (result.error) return [`⚠️ ${result.error}`];
+        switch (name) {
+            case 'findDealer':
+                if (!result.dealers.length) return [result.message || 'No dealers found'];
+                return result.dealers.map(d => `${d.name} (${d.id}) – ${d.city} ${d.pincode}`);
+            case 'bookTestRide':
+                return [
+                    `Booking ${result.bookingId}: ${result.model} at ${result.dealer}`,
+                    `Slot: ${new Date(result.slot).toLocaleString()}`,
+                    `Status: ${result.status}. ${result.message || ''}`.trim()
+                ];
+            case 'calculateEmi':
+                return [
+                    `EMI: ${formatRupees(result.emi)}/month for ${result.tenureMonths} months at ${result.annualRate}%`,
+                    `Loan: ${formatRupees(result.loanAmount)}, interest: ${formatRupees(result.totalInterest)}, total: ${formatRupees(result.totalPayable)}`
+                ];
+            case 'checkChargingCost': {
+                const lines = [
+                    `${result.model}: ${formatRupees(result.costPerFullCharge)} per full charge (${result.unitsPerFullCharge} units at ${formatRupees(result.tariffPerUnit)}/unit)`,
+                    `About ${formatRupees(result.costPerKm)} per km over ${result.claimedRangeKm} km claimed range`
+                ];
+                if (result.monthlyCost !== undefined) lines.push(`Monthly: about ${formatRupees(result.monthlyCost)}`);
+                return lines;
+            }
+            case 'captureLead':
+                return [
+                    `Lead ${result.leadId}: ${result.status === 'already_captured' ? 'already saved' : 'saved'}`,
+                    result.message
+                ];
+            default:
+                return [JSON.stringify(result)];
+        }
+    }
+
+    function escapeAttribute(value) {
+        return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    }
+
+    function template(serverUrl) {
+        const options = LANGUAGES.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        const scripts = HINGLISH_SCRIPTS.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        return `
+            <link rel="stylesheet" href="${escapeAttribute(serverUrl)}/widget.css">
+            <button class="launcher" part="launcher" aria-label="Talk to Rev" hidden>
+                <svg viewBox="0 0 24 24" width="28" height="28" aria-hidden="true"><path fill="currentColor" d="M12 14a3 3 0 0 0 3-3V5a3 3 0 0 0-6 0v6a3 3 0 0 0 3 3zm5-3a5 5 0 0 1-10 0H5a7 7 0 0 0 6 6.92V21h2v-3.08A7 7 0 0 0 19 11h-2z"/></svg>
+            </button>
+            <div class="panel" part="panel">
+                <div class="panel-header">
+                    <div>
+                        <strong>Rev</strong>
+                        <span class="subtitle">Revolt Motors Assistant</span>
+                    </div>
+                    <button class="close-btn" aria-label="Close" hidden>✕</button>
+                </div>
+                <div class="mic-permission" hidden>
+                    <span>Allow microphone access for voice chat.</span>
+                    <button class="mic-allow-btn">Enable Microphone</button>
+                </div>
+
+                <div class="status-bar">
+                    <div class="status-item"><div class="status-dot server"></div><span>Server</span></div>
+                    <div class="status-item"><div class="status-dot gemini"></div><span>Model</span></div>
+                    <div class="status-item"><div class="status-dot mic"></div><span>Microphone</span></div>
+                </div>
+
+                <div class="controls">
+                    <button id="connectBtn"> Connect</button>
+                    <button id="startBtn"> Start Mic</button>
+                    <button id="stopBtn"> Stop Mic</button>
+                    <button id="interruptBtn"> Interrupt</button>
+                    <button id="clearBtn" title="Forget this conversation"> New Chat</button>
+                </div>
+
+                <div class="lang">
+                    <label>🌐 Language:
+                        <select id="lang">${options}</select>
+                        <select id="hinglishScript" aria-label="Hinglish script" title="Script for Hinglish replies">${scripts}</select>
+                    </label>
+                    <label class="hands-free" title="Rev listens continuously and replies when you pause">
+                        <input id="handsFree" type="checkbox" />Hands-free
+                    </label>
+                    <label class="hands-free" title="Talk over Rev to interrupt it (hands-free only)">
+                        <input id="bargeIn" type="checkbox" checked />Barge-in
+                        <select id="bargeInSensitivity" aria-label="Barge-in sensitivity">
+                            <option value="low">Low</option>
+                            <option value="medium" selected>Medium</option>
+                            <option value="high">High</option>
+                        </select>
+                    </label>
+                </div>
+
+                <div class="log" part="log"></div>
+                <form class="lead-form" part="lead-form" hidden novalidate>
+                    <strong>Get a call back for a test ride</strong>
+                    <input name="name" type="text" placeholder="Name" autocomplete="name" maxlength="100" />
+                    <input name="phone" type="tel" placeholder="Mobile number" autocomplete="tel" maxlength="20" />
+                    <input name="city" type="text" placeholder="City" autocomplete="address-level2" maxlength="60" />
+                    <input name="model" type="text" placeholder="Preferred model (optional)" maxlength="40" />
+                    <label class="lead-consent"><input name="consent" type="checkbox" /><span>${LEAD_CONSENT_TEXT}</span></label>
+                    <div class="lead-error" role="alert"></div>
+                    <div class="lead-actions">
+                        <button type="submit">Request a call</button>
+                        <button type="button" class="lead-cancel">Cancel</button>
+                    </div>
+                </form>
+                <div class="input-bar">
+                    <input id="textInput" type="text" placeholder="Type a message..." />
+                    <button id="sendBtn" title="Send" aria-label="Send" class="send-btn">
+                        <img src="${escapeAttribute(serverUrl)}/sendicon.png" alt="" class="plane-icon" aria-hidden="true" />
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    class RevVoiceElement extends HTMLElement {
+        static get observedAttributes() {
+            return ['accent-color', 'language', 'hinglish-script'];
+        }
+
+        constructor() {
+            super();
+            this.attachShadow({ mode: 'open' });
+            this.ws = null;
+            this.mediaStream = null;
+            this.audioContext = null;
+            this.captureNode = null;
+            this.captureFlushResolve = null;
+            this.audioFrameSeq = 0;
+            this.socketConnected = false;
+            this.isMicActive = false;
+            this.isUserSpeaking = false;
+            this.isGeminiConnected = false;
+            this.isGeminiSpeaking = false;
+            this.currentResponseText = '';
+            this.currentResponseLine = null;
+            this.isResponseStreaming = false;
+            this.protocol = null;
+            this.turnState = 'idle';
+            this.handshakeComplete = false;
+            this.replyLanguage = null;
+            this.currentTurnId = null;
+            this.cancelledTurnId = null;
+            this.responseHasAudio = false;
+            this.speechUtterance = null;
+            this.speechQueue = [];
+            this.pendingSpeechText = '';
+            this.micPrewarmRequested = false;
+            this.playbackContext = null;
+            this.playbackTime = 0;
+            this.playbackSources = [];
+            this.speechSource = null;
+            this.fallbackSpeechTimer = null;
+            this.reconnectTimer = null;
+            this.reconnectAttempts = 0;
+            this.isConnecting = false;
+            this.closedByUser = false;
+            this.hasRestoredSession = false;
+            this.hasGreeted = false;
+            this.rendered = false;
+            this.onOnline = () => {
+                if (this.reconnectTimer) this.connect();
+            };
+        }
+
+        get serverUrl() {
+            return (this.getAttribute('server-url') || DEFAULT_SERVER_URL).replace(/\/$/, '');
+        }
+
+        get siteKey() {
+            return this.getAttribute('site-key') || '';
+        }
+
+        get dealerId() {
+            return this.getAttribute('dealer-id') || '';
+        }
+
+        get tenant() {
+            return this.getAttribute('tenant') || '';
+        }
+
+        get isLauncher() {
+            return this.hasAttribute('launcher');
+        }
+
+        get isOpen() {
+            return !this.isLauncher || this.hasAttribute('open');
+        }
+
+        get status() {
+            return {
+                connected: this.socketConnected,
+                modelConnected: this.isGeminiConnected,
+                micActive: this.isMicActive,
+                userSpeaking: this.isUserSpeaking,
+                state: this.turnState
+            };
+        }
+
+        connectedCallback() {
+            if (!this.rendered) this.render();
+            window.addEventListener('online', this.onOnline);
+            if (this.hasAttribute('autoconnect')) this.connect();
+        }
+
+        disconnectedCallback() {
+            window.removeEventListener('online', this.onOnline);
+            this.disconnect();
+        }
+
+        attributeChangedCallback(name, oldValue, value) {
+            if (name === 'accent-color') {
+                if (value) this.style.setProperty('--rev-accent', value);
+                else this.style.removeProperty('--rev-accent');
+            } else if (name === 'language' && this.langInput && LANGUAGES.some(([code]) => code === value)) {
+                this.langInput.value = value;
+                this.sendLanguage();
+            } else if (name === 'hinglish-script' && this.hinglishScriptInput && HINGLISH_SCRIPTS.some(([code]) => code === value)) {
+                this.hinglishScriptInput.value = value;
+                this.sendLanguage();
+            }
+        }
+
+        render() {
+            this.rendered = true;
+            this.shadowRoot.innerHTML = template(this.serverUrl);
+            const $ = (selector) => this.shadowRoot.querySelector(selector);
+            this.logEl = $('.log');
+            this.panelEl = $('.panel');
+            this.launcherBtn = $('.launcher');
+            this.closeBtn = $('.close-btn');
+            this.connectBtn = $('#connectBtn');
+            this.startBtn = $('#startBtn');
+            this.stopBtn = $('#stopBtn');
+            this.interruptBtn = $('#interruptBtn');
+            this.clearBtn = $('#clearBtn');
+            this.langInput = $('#lang');
+            this.hinglishScriptInput = $('#hinglishScript');
+            this.handsFreeInput = $('#handsFree');
+            this.bargeInInput = $('#bargeIn');
+            this.bargeInSensitivityInput = $('#bargeInSensitivity');
+            this.leadForm = $('.lead-form');
+            this.leadErrorEl = $('.lead-error');
+            this.textInputEl = $('#textInput');
+            this.sendBtn = $('#sendBtn');
+            this.serverStatus = $('.status-dot.server');
+            this.geminiStatus = $('.status-dot.gemini');
+            this.micStatus = $('.status-dot.mic');
+
+            const language = this.getAttribute('language');
+            if (language && LANGUAGES.some(([value]) => value === language)) this.langInput.value = language;
+            const script = this.getAttribute('hinglish-script');
+            if (script && HINGLISH_SCRIPTS.some(([value]) => value === script)) this.hinglishScriptInput.value = script;
+
+            this.launcherBtn.hidden = !this.isLauncher;
+            this.closeBtn.hidden = !this.isLauncher;
+            this.panelEl.hidden = !this.isOpen;
+
+            this.launcherBtn.onclick = () => this.toggle();
+            this.closeBtn.onclick = () => this.close();
+            this.connectBtn.onclick = () => {
+                this.ensurePlaybackContext();
+                this.connect();
+            };
+            this.clearBtn.onclick = () => this.clear();
+            this.startBtn.onclick = () => this.startMic();
+            this.stopBtn.onclick = () => this.stopMic();
+            this.interruptBtn.onclick = () => this.interrupt();
+            this.leadForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.submitLead();
+            });
+            $('.lead-cancel').onclick = () => this.hideLeadForm();
+            this.sendBtn.addEventListener('click', () => this.sendTextMessage());
+            this.textInputEl.addEventListener('keypress', (event) => {
+                if (event.key === 'Enter') this.sendTextMessage();
+            });
+            [this.handsFreeInput, this.bargeInInput].forEach((input) => {
+                input.addEventListener('change', () => this.updateButtonStates());
+            });
+            [this.langInput, this.hinglishScriptInput].forEach((input) => {
+                input.addEventListener('change', () => {
+                    this.updateButtonStates();
+                    this.sendLanguage();
+                });
+            });
+
+            this.updateButtonStates();
+            this.updateStatusIndicators();
+            this.setupMicPermissionPrompt();
+        }
+
+        // Public API
+
+        open() {
+            if (!this.isLauncher || this.hasAttribute('open')) return;
+            this.setAttribute('open', '');
+            this.panelEl.hidden = false;
+            // Opening is a click, so audio playback is allowed to start here.
+            this.ensurePlaybackContext();
+            if (!this.socketConnected) this.connect();
+            this.emit('open');
+        }
+
+        close() {
+            if (!this.isLauncher || !this.hasAttribute('open')) return;
+            this.removeAttribute('open');
+            this.panelEl.hidden = true;
+            if (this.isMicActive) this.stopMic();
+            this.emit('close');
+        }
+
+        toggle() {
+            if (this.hasAttribute('open')) this.close();
+            else this.open();
+        }
+
+        send(text) {
+            const value = String(text || '').trim();
+            if (!value) return false;
+            if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+                this.log('❌ Not connected to server');
+                return false;
+            }
+            this.ws.send(JSON.stringify({ type: 'text_message', text: value, turnId: newTurnId() }));
+            return true;
+        }
+
+        // Shows the test-ride call-back form; `prefill` may hold name, phone,
+        // city and model, and `invalid` the fields to mark.
+        showLeadForm(prefill = {}, invalid = []) {
+            LEAD_FIELDS.forEach((field) => {
+                const input = this.leadForm.elements[field];
+                if (prefill[field]) input.value = prefill[field];
+                input.setAttribute('aria-invalid', String(invalid.includes(field)));
+            });
+            this.leadErrorEl.textContent = '';
+            this.leadForm.hidden = false;
+            const first = LEAD_FIELDS.map(field => this.leadForm.elements[field]).find(input => !input.value || input.getAttribute('aria-invalid') === 'true');
+            (first || this.leadForm.elements.consent).focus();
+        }
+
+        hideLeadForm() {
+            this.leadForm.hidden = true;
+        }
+
+        disconnect() {
+            this.closedByUser = true;
+            if (this.reconnectTimer) {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
+            }
+            if (this.mediaStream) this.stopMic();
+            this.cancelSpeech();
+            this.stopAudioPlayback();
+            if (this.ws) this.ws.close(1000, 'Widget closed');
+        }
+
+        clear() {
+            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+                this.cancelledTurnId = this.currentTurnId;
+                this.isResponseStreaming = false;
+                this.cancelSpeech();
+                this.stopAudioPlayback();
+                this.setGeminiSpeaking(false);
+                this.updateButtonStates();
+                this.ws.send(JSON.stringify({ type: 'clear_session' }));
+            }
+        }
+
+        // Calls `on<Name>` if the host page set it, then dispatches `rev-<name>`.
+        emit(name, detail = {}) {
+            const handler = this[`on${name.charAt(0).toUpperCase()}${name.slice(1)}`];
+            if (typeof handler === 'function') {
+                try {
+                    handler.call(this, detail);
+                } catch (error) {
+                    console.error(`Rev widget ${name} handler failed:`, error);
+                }
+            }
+            this.dispatchEvent(new CustomEvent(`rev-${name}`, { detail, bubbles: true, composed: true }));
+        }
+
+        setupMicPermissionPrompt() {
+            const promptEl = this.shadowRoot.querySelector('.mic-permission');
+            const allowBtn = this.shadowRoot.querySelector('.mic-allow-btn');
+            if (navigator.permissions && navigator.permissions.query) {
+                navigator.permissions.query({ name: 'microphone' }).then((status) => {
+                    console.log('Microphone permission:', status.state);
+                    promptEl.hidden = status.state === 'granted';
+                    status.onchange = () => {
+                        promptEl.hidden = status.state === 'granted';
+                    };
+                }).catch(() => {
+                    promptEl.hidden = false;
+                });
+            } else {
+                promptEl.hidden = false;
+            }
+
+            allowBtn.onclick = async () => {
+                if (this.micPrewarmRequested) return;
+                this.micPrewarmRequested = true;
+                try {
+                    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+                    stream.getTracks().forEach(t => t.stop());
+                    this.log('🎙️ Microphone permission granted');
+                    promptEl.hidden = true;
+                } catch (err) {
+                    this.log('⚠️ Please allow microphone access to use voice chat.');
+                    console.warn('User denied microphone permission:', err);
+                    promptEl.hidden = false;
+                }
+            };
+        }
+
+        log(line) {
+            const timestamp = new Date().toLocaleTimeString();
+            const node = document.createTextNode(`[${timestamp}] ${line}\n`);
+            this.logEl.appendChild(node);
+            this.logEl.scrollTop = this.logEl.scrollHeight;
+            return node;
+        }
+
+        appendToLogLine(node, text) {
+            node.nodeValue = node.nodeValue.replace(/\n$/, '') + text + '\n';
+            this.logEl.scrollTop = this.logEl.scrollHeight;
+        }
+
+        queueSpeech(text, flush) {
+            if (!window.speechSynthesis) return;
+            const { sentences, rest } = extractSentences(this.pendingSpeechText + text, flush);
+            this.pendingSpeechText = rest;
+            this.speechQueue.push(...sentences.map(sentence => sentence.replace(/\s*\[\d+\]/g, '')).filter(Boolean));
+            if (!this.speechUtterance) {
+                this.speakNextSentence();
+            }
+        }
+
+        speakNextSentence() {
+            const sentence = this.speechQueue.shift();
+            if (!sentence) {
+                this.speechUtterance = null;
+                if (!this.isResponseStreaming && !this.isAudioPlaying()) {
+                    this.setGeminiSpeaking(false);
+                    this.updateButtonStates();
+                }
+                return;
+            }
+            const utterance = new SpeechSynthesisUtterance(sentence);
+            utterance.lang = mapUiLangToLocale(this.replyLanguage || this.langInput.value);
+            const next = () => {
+                if (utterance === this.speechUtterance) this.speakNextSentence();
+            };
+            utterance.onend = next;
+            utterance.onerror = next;
+            this.speechUtterance = utterance;
+            try {
+                speechSynthesis.speak(utterance);
+            } catch (e) {
+                console.warn('Speech synthesis failed:', e);
+                next();
+            }
+        }
+
+        cancelSpeech() {
+            if (this.fallbackSpeechTimer) {
+                clearTimeout(this.fallbackSpeechTimer);
+                this.fallbackSpeechTimer = null;
+            }
+            this.speechQueue = [];
+            this.pendingSpeechText = '';
+            this.speechUtterance = null;
+            if (window.speechSynthesis) {
+                try { speechSynthesis.cancel(); } catch (e) {}
+            }
+        }
+
+        setGeminiSpeaking(value) {
+            if (this.isGeminiSpeaking === value) return;
+            this.isGeminiSpeaking = value;
+            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+                this.ws.send(JSON.stringify({ type: 'playback_state', speaking: value, ...(this.currentTurnId ? { turnId: this.currentTurnId } : {}) }));
+            }
+        }
+
+        updateButtonStates() {
+            this.connectBtn.disabled = this.socketConnected;
+            this.bargeInInput.disabled = !this.handsFreeInput.checked || this.isMicActive;
+            this.bargeInSensitivityInput.disabled = this.bargeInInput.disabled || !this.bargeInInput.checked;
+            this.handsFreeInput.disabled = this.isMicActive;
+            this.hinglishScriptInput.hidden = this.langInput.value !== 'hinglish' && this.langInput.value !== 'auto';
+            this.startBtn.disabled = !this.socketConnected || !this.isGeminiConnected || this.isMicActive;
+            this.stopBtn.disabled = !this.socketConnected || !this.isGeminiConnected || !this.isMicActive;
+            this.interruptBtn.disabled = !this.socketConnected || !this.isGeminiConnected || !this.isGeminiSpeaking;
+            this.clearBtn.disabled = !this.socketConnected;
+        }
+
+        updateStatusIndicators() {
+            this.serverStatus.className = `status-dot server ${this.socketConnected ? 'connected' : ''}`;
+            this.geminiStatus.className = `status-dot gemini ${this.isGeminiConnected ? 'connected' : ''}`;
+            this.micStatus.className = `status-dot mic ${this.isMicActive ? 'active' : ''} ${this.isUserSpeaking ? 'listening' : ''}`;
+            this.emit('status', this.status);
+        }
+
+        sessionStorageKey() {
+            return this.siteKey ? `${SESSION_TOKEN_KEY}:${this.siteKey}` : SESSION_TOKEN_KEY;
+        }
+
+        getSessionToken() {
+            try {
+                return localStorage.getItem(this.sessionStorageKey());
+            } catch (e) {
+                return null;
+            }
+        }
+
+        storeSessionToken(token) {
+            try {
+                if (token) localStorage.setItem(this.sessionStorageKey(), token);
+            } catch (e) {}
+        }
+
+        scheduleReconnect() {
+            if (this.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+                this.log('❌ Could not reconnect. Click Connect to try again.');
+                this.reconnectAttempts = 0;
+                return;
+            }
+            const backoff = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * Math.pow(2, this.reconnectAttempts));
+            const delay = Math.round(backoff * (0.8 + Math.random() * 0.4));
+            this.reconnectAttempts += 1;
+            this.log(`🔄 Reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.reconnectAttempts})...`);
+            this.reconnectTimer = setTimeout(() => {
+                this.reconnectTimer = null;
+                this.connect();
+            }, delay);
+        }
+
+        // Short-lived access token for the WebSocket upgrade; fetched on every connect.
+        async fetchAccessToken() {
+            const body = this.siteKey ? { siteKey: this.siteKey } : {};
+            const response = await fetch(`${this.serverUrl}/api/session`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || `HTTP ${response.status}`);
+            }
+            return (await response.json()).token;
+        }
+
+        async connect() {
+            if (this.isConnecting || (this.ws && (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING))) {
+                this.log('Already connected');
+                return;
+            }
+            if (this.reconnectTimer) {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
+            }
+
+            this.log('Connecting to server...');
+            this.isConnecting = true;
+            this.closedByUser = false;
+
+            try {
+                let accessToken;
+                try {
+                    this.protocol = await loadProtocol(this.serverUrl);
+                    accessToken = await this.fetchAccessToken();
+                } catch (error) {
+                    this.log(`❌ Could not authenticate: ${error.message}`);
+                    this.scheduleReconnect();
+                    return;
+                }
+                const params = new URLSearchParams({ token: accessToken });
+                const token = this.getSessionToken();
+                if (token) params.set('session', token);
+                if (this.dealerId) params.set('dealer', this.dealerId);
+                if (this.tenant) params.set('tenant', this.tenant);
+                const ws = new WebSocket(`${this.serverUrl.replace(/^http/, 'ws')}/ws?${params}`);
+                this.ws = ws;
+
+                ws.onopen = () => {
+                    this.log('✅ Connected to server');
+                    this.socketConnected = true;
+                    this.reconnectAttempts = 0;
+                    ws.send(JSON.stringify({
+                        type: 'hello',
+                        version: this.protocol.PROTOCOL_VERSION,
+                        capabilities: { binaryAudio: true, streaming: true, serverTts: true },
+                        client: 'rev-widget',
+                        language: this.langInput.value,
+                        hinglishScript: this.hinglishScriptInput.value
+                    }));
+                    this.updateButtonStates();
+                    this.updateStatusIndicators();
+                };
+
+                ws.onmessage = (event) => {
+                    try {
+                        const message = JSON.parse(event.data);
+                        const check = this.protocol.validateServerMessage(message);
+                        if (!check.ok) {
+                            console.warn('Ignoring invalid server message:', message && message.type, check.errors);
+                            return;
+                        }
+                        this.handleServerMessage(message);
+                    } catch (error) {
+                        console.error('Error parsing server message:', error);
+                    }
+                };
+
+                ws.onclose = (event) => {
+                    if (ws !== this.ws) return;
+                    this.log(`❌ Connection closed: ${event.code} - ${event.reason}`);
+                    this.socketConnected = false;
+                    this.isGeminiConnected = false;
+                    this.turnState = 'idle';
+                    this.handshakeComplete = false;
+                    this.isMicActive = false;
+                    this.isUserSpeaking = false;
+                    this.setGeminiSpeaking(false);
+                    if (this.mediaStream) this.stopMic();
+                    this.updateButtonStates();
+                    this.updateStatusIndicators();
+                    // 4000: another tab or device resumed this session; 1002: this
+                    // widget speaks a protocol version the server no longer supports.
+                    if (event.code !== 4000 && event.code !== 1002 && !this.closedByUser) this.scheduleReconnect();
+                };
+
+                ws.onerror = (error) => {
+                    this.log('❌ WebSocket error');
+                    console.error('WebSocket error:', error);
+                };
+
+            } catch (error) {
+                this.log('❌ Failed to connect');
+                console.error('Connection error:', error);
+            } finally {
+                this.isConnecting = false;
+            }
+        }
+
+        // Created (or resumed) from a click where possible so autoplay rules allow it.
+        ensurePlaybackContext() {
+            if (!this.playbackContext) {
+                this.playbackContext = new (window.AudioContext || window.webkitAudioContext)();
+            }
+            if (this.playbackContext.state === 'suspended') {
+                this.playbackContext.resume().catch(() => {});
+            }
+            return this.playbackContext;
+        }
+
+        playAudioChunk(base64, mimeType) {
+            const rateMatch = /rate=(\d+)/.exec(mimeType || '');
+            const sampleRate = rateMatch ? Number(rateMatch[1]) : 24000;
+            const context = this.ensurePlaybackContext();
+            const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+            const samples = new Int16Array(bytes.buffer, 0, Math.floor(bytes.length / 2));
+            const buffer = context.createBuffer(1, samples.length, sampleRate);
+            const channel = buffer.getChannelData(0);
+            for (let i = 0; i < samples.length; i++) {
+                channel[i] = samples[i] / 0x8000;
+            }
+            const source = context.createBufferSource();
+            source.buffer = buffer;
+            source.connect(context.destination);
+            // Chunks are scheduled back to back; after an underrun, start slightly
+            // ahead so the first samples are not clipped.
+            const startAt = this.playbackTime > context.currentTime
+                ? this.playbackTime
+                : context.currentTime + PLAYBACK_LEAD_SECONDS;
+            source.start(startAt);
+            this.playbackTime = startAt + buffer.duration;
+            this.playbackSources.push(source);
+            source.onended = () => {
+                this.playbackSources = this.playbackSources.filter(s => s !== source);
+                if (!this.isAudioPlaying() && !this.isResponseStreaming && !this.speechUtterance) {
+                    this.setGeminiSpeaking(false);
+                    this.updateButtonStates();
+                }
+            };
+            this.setGeminiSpeaking(true);
+            this.updateButtonStates();
+        }
+
+        isAudioPlaying() {
+            return this.playbackSources.length > 0;
+        }
+
+        stopAudioPlayback() {
+            this.playbackSources.forEach((source) => {
+                source.onended = null;
+                try { source.stop(); } catch (e) {}
+            });
+            this.playbackSources = [];
+            this.playbackTime = 0;
+        }
+
+        // Browser speech for the part of a reply the server could not synthesise,
+        // started once the server audio already queued has played.
+        speakAfterPlayback(text) {
+            const context = this.playbackContext;
+            const wait = context ? Math.max(0, this.playbackTime - context.currentTime) : 0;
+            this.fallbackSpeechTimer = setTimeout(() => {
+                this.fallbackSpeechTimer = null;
+                this.setGeminiSpeaking(true);
+                this.queueSpeech(text, true);
+            }, wait * 1000);
+        }
+
+        renderToolCard(name, result) {
+            const card = document.createElement('div');
+            card.className = `tool-card tool-${name}${result.error ? ' tool-error' : ''}`;
+            const title = document.createElement('strong');
+            title.textContent = TOOL_LABELS[name] || name;
+            card.appendChild(title);
+            toolCardLines(name, result || {}).forEach(line => {
+                const row = document.createElement('div');
+                row.textContent = line;
+                card.appendChild(row);
+            });
+            this.logEl.appendChild(card);
+            this.logEl.scrollTop = this.logEl.scrollHeight;
+        }
+
+        logCitations(citations) {
+            if (!Array.isArray(citations) || citations.length === 0) return;
+            const cited = citations.filter(c => c.cited);
+            const shown = cited.length ? cited : citations;
+            this.log(`📚 Sources: ${shown.map(c => `[${c.index}] ${c.title}`).join('; ')}`);
+        }
+
+        restoreHistory(history) {
+            if (!history.length) return;
+            this.log(`🔁 Restored ${history.length} earlier message${history.length === 1 ? '' : 's'}:`);
+            history.forEach((entry) => {
+                this.log(entry.role === 'model' ? `🤖 Rev: ${entry.text}` : `👤 You: ${entry.text}`);
+            });
+        }
+
+        handleServerMessage(message) {
+            switch (message.type) {
+                case 'welcome':
+                    console.log('Protocol version', message.version, 'capabilities:', message.capabilities);
+                    this.handshakeComplete = true;
+                    break;
+
+                case 'greeting':
+                    if (!this.hasGreeted) this.log(`🤖 Rev: ${message.text}`);
+                    this.hasGreeted = true;
+                    break;
+
+                case 'language_status':
+                    console.log('Reply language:', message.language, 'Hinglish script:', message.hinglishScript);
+                    break;
+
+                // The server serializes turns; this mirrors where it is.
+                case 'state':
+                    this.turnState = message.state;
+                    this.updateStatusIndicators();
+                    break;
+
+                case 'connection_status':
+                    if (message.connected) {
+                        this.log('✅ Server connection: OK');
+                        if (!message.hasApiKey) {
+                            this.log('❌ ⚠️ No API key configured - running in demo mode');
+                        }
+                        if (message.resumed && !this.hasRestoredSession) {
+                            this.restoreHistory(message.history || []);
+                        } else if (message.resumed) {
+                            this.log('🔁 Session resumed');
+                        } else if (this.getSessionToken() && this.getSessionToken() !== message.sessionToken) {
+                            this.log('ℹ️ Previous session expired, starting a new conversation');
+                        }
+                        this.hasRestoredSession = true;
+                        this.storeSessionToken(message.sessionToken);
+                        if (message.limits && message.limits.maxTextLength) {
+                            this.textInputEl.maxLength = message.limits.maxTextLength;
+                        }
+                    }
+                    break;
+
+                case 'session_cleared':
+                    this.log('🧹 Started a new conversation');
+                    this.hasGreeted = false;
+                    this.isResponseStreaming = false;
+                    this.responseHasAudio = false;
+                    this.currentResponseText = '';
+                    this.currentResponseLine = null;
+                    break;
+
+                case 'model_status': {
+                    const model = `${message.provider}/${message.model}`;
+                    if (message.connected) {
+                        this.log(`✅ Model connection: OK (${model})`);
+                        this.isGeminiConnected = true;
+                        this.speechSource = message.speech || null;
+                    } else if (message.reconnecting) {
+                        this.log(`🔄 Model connection lost, reconnecting... (${model})`);
+                        this.isGeminiConnected = false;
+                    } else {
+                        this.log(`❌ Model connection: Failed (${model}${message.error ? `, ${message.error}` : ''})`);
+                        this.isGeminiConnected = false;
+                    }
+                    this.updateButtonStates();
+                    this.updateStatusIndicators();
+                    break;
+                }
+
+                case 'mic_status':
+                    if (message.started) {
+                        this.log(message.mode === 'hands_free' ? '🎤 Microphone started (hands-free, just talk)' : '🎤 Microphone started');
+                        this.isMicActive = true;
+                    } else {
+                        this.log('🔇 Microphone stopped');
+                        this.isMicActive = false;
+                        this.isUserSpeaking = false;
+                    }
+                    this.updateButtonStates();
+                    this.updateStatusIndicators();
+                    break;
+
+                case 'barge_in':
+                    this.log('✋ You interrupted Rev');
+                    if (message.turnId) this.cancelledTurnId = message.turnId;
+                    this.cancelSpeech();
+                    this.stopAudioPlayback();
+                    this.isResponseStreaming = false;
+                    this.responseHasAudio = false;
+                    this.currentResponseLine = null;
+                    this.setGeminiSpeaking(false);
+                    this.updateButtonStates();
+                    break;
+
+                case 'speech_started':
+                    this.isUserSpeaking = true;
+                    this.updateStatusIndicators();
+                    break;
+
+                case 'speech_ended':
+                    this.isUserSpeaking = false;
+                    if (message.discarded) {
+                        console.log('Ignored short sound:', message.durationMs, 'ms');
+                    }
+                    this.updateStatusIndicators();
+                    break;
+
+                case 'interrupt_ack':
+                    if (message.interrupted) {
+                        this.log('⏹️ Conversation interrupted');
+                        this.setGeminiSpeaking(false);
+                        this.isResponseStreaming = false;
+                        this.responseHasAudio = false;
+                        this.currentResponseText = '';
+                        this.currentResponseLine = null;
+                        this.updateButtonStates();
+                    } else {
+                        this.log('ℹ️ That reply had already finished');
+                    }
+                    break;
+
+                case 'user_message':
+                    this.currentTurnId = message.turnId;
+                    this.replyLanguage = message.replyLanguage || null;
+                    this.log(`👤 You: ${message.text}`);
+                    this.emit('message', { role: 'user', text: message.text, source: 'text' });
+                    break;
+
+                case 'tool_call':
+                    this.log(`🔧 ${TOOL_LABELS[message.name] || message.name}...`);
+                    break;
+
+                case 'tool_result':
+                    this.renderToolCard(message.name, message.result);
+                    this.currentResponseLine = null;
+                    if (message.name === 'bookTestRide' && message.result && !message.result.error) {
+                        this.emit('booking', message.result);
+                    }
+                    break;
+
+                case 'lead_form':
+                    if (message.reason) console.log('Lead form requested:', message.reason);
+                    this.showLeadForm(message.prefill || {}, message.missing || []);
+                    break;
+
+                case 'lead_status':
+                    this.hideLeadForm();
+                    this.leadForm.reset();
+                    this.log(message.status === 'already_captured'
+                        ? `✅ We already have your details (${message.leadId}); a Revolt dealer will call you.`
+                        : `✅ Thanks! A Revolt dealer will call you about your test ride (${message.leadId}).`);
+                    this.emit('lead', { leadId: message.leadId, status: message.status, source: message.source });
+                    break;
+
+                case 'user_transcript':
+                    this.currentTurnId = message.turnId;
+                    this.replyLanguage = message.replyLanguage || null;
+                    if (message.text) {
+                        this.log(`👤 You (🎤): ${message.text}${message.lowConfidence ? ' (unclear)' : ''}`);
+                        if (!message.lowConfidence) {
+                            this.emit('message', { role: 'user', text: message.text, source: 'voice', language: message.language });
+                        }
+                    } else {
+                        this.log('👤 You (🎤): (inaudible)');
+                    }
+                    if (message.language) {
+                        console.log('Detected language:', message.language, 'confidence:', message.confidence);
+                    }
+                    break;
+
+                case 'ai_audio':
+                    if (message.turnId === this.cancelledTurnId) break;
+                    this.currentTurnId = message.turnId;
+                    this.responseHasAudio = true;
+                    try {
+                        this.playAudioChunk(message.data, message.mimeType);
+                    } catch (e) {
+                        console.warn('Audio playback failed:', e);
+                    }
+                    break;
+
+                case 'ai_response_delta':
+                    if (message.turnId === this.cancelledTurnId) break;
+                    this.currentTurnId = message.turnId;
+                    if (!this.isResponseStreaming) {
+                        this.currentResponseText = '';
+                    }
+                    if (!this.currentResponseLine) {
+                        this.currentResponseLine = this.log('🤖 Rev: ');
+                    }
+                    this.isResponseStreaming = true;
+                    this.setGeminiSpeaking(true);
+                    this.currentResponseText += message.text;
+                    this.appendToLogLine(this.currentResponseLine, message.text);
+                    if (!this.responseHasAudio && !this.speechSource) {
+                        this.queueSpeech(message.text, false);
+                    }
+                    this.updateButtonStates();
+                    break;
+
+                case 'ai_response_done':
+                    if (message.turnId === this.cancelledTurnId) break;
+                    if (!this.isResponseStreaming && message.text) {
+                        this.log(`🤖 Rev: ${message.text}`);
+                    }
+                    if (message.fallbackText) {
+                        this.speakAfterPlayback(message.fallbackText);
+                    } else if (!this.isResponseStreaming && message.text && !message.audio) {
+                        this.setGeminiSpeaking(true);
+                        this.queueSpeech(message.text, true);
+                    } else if (!message.audio && !this.responseHasAudio && !this.speechSource) {
+                        this.queueSpeech('', true);
+                    }
+                    this.logCitations(message.citations);
+                    this.currentResponseText = message.text;
+                    this.currentResponseLine = null;
+                    this.isResponseStreaming = false;
+                    this.responseHasAudio = false;
+                    if (!this.speechUtterance && !this.isAudioPlaying() && !this.fallbackSpeechTimer) {
+                        this.setGeminiSpeaking(false);
+                    }
+                    this.updateButtonStates();
+                    if (message.text) {
+                        this.emit('message', { role: 'assistant', text: message.text, citations: message.citations || [], ...(message.guardrail ? { guardrail: message.guardrail } : {}) });
+                    }
+                    break;
+
+                case 'error':
+                    // Lead form problems are shown on the form; the reply in progress is unaffected.
+                    if (message.code === 'invalid_lead') {
+                        const fields = (message.errors || []).map(error => error.path);
+                        this.showLeadForm({}, fields);
+                        this.leadErrorEl.textContent = (message.errors || []).map(error => `${error.path} ${error.message}`).join('; ') || message.message;
+                        break;
+                    }
+                    if (message.retryAfterMs) {
+                        this.log(`⏳ ${message.message} Try again in ${Math.ceil(message.retryAfterMs / 1000)}s.`);
+                    } else {
+                        this.log(`❌ Error: ${message.message}${message.retryable ? ' (you can try again)' : ''}`);
+                    }
+                    this.isResponseStreaming = false;
+                    this.currentResponseText = '';
+                    this.currentResponseLine = null;
+                    if (!this.speechUtterance && !this.isAudioPlaying() && !this.fallbackSpeechTimer) {
+                        this.setGeminiSpeaking(false);
+                    }
+                    this.updateButtonStates();
+                    this.emit('error', { code: message.code, message: message.message, retryable: !!message.retryable });
+                    break;
+
+                default:
+                    console.log('Unknown message type:', message.type);
+            }
+        }
+
+        buildAudioFrame(pcm, sampleRate) {
+            const frame = new ArrayBuffer(AUDIO_FRAME_HEADER_BYTES + pcm.byteLength);
+            const view = new DataView(frame);
+            view.setUint32(0, this.audioFrameSeq++, true);
+            view.setUint32(4, sampleRate, true);
+            new Uint8Array(frame, AUDIO_FRAME_HEADER_BYTES).set(new Uint8Array(pcm));
+            return frame;
+        }
+
+        async startMic() {
+            if (!this.socketConnected || !this.isGeminiConnected) {
+                this.log('❌ Not connected to server or model');
+                return;
+            }
+
+            try {
+                this.mediaStream = await navigator.mediaDevices.getUserMedia({
+                    audio: {
+                        channelCount: 1,
+                        echoCancellation: true,
+                        noiseSuppression: true
+                    }
+                });
+
+                this.audioContext = new (window.AudioContext || window.webkitAudioContext)({ sampleRate: 16000 });
+                await this.audioContext.audioWorklet.addModule(`${this.serverUrl}/pcm-worklet.js`);
+                const source = this.audioContext.createMediaStreamSource(this.mediaStream);
+
+                this.audioFrameSeq = 0;
+                this.captureNode = new AudioWorkletNode(this.audioContext, 'pcm16-capture', {
+                    processorOptions: { frameSamples: CAPTURE_FRAME_SAMPLES }
+                });
+                this.captureNode.port.onmessage = (event) => {
+                    const data = event.data || {};
+                    if (data.type === 'flushed') {
+                        if (this.captureFlushResolve) this.captureFlushResolve();
+                        return;
+                    }
+                    if (data.type === 'audio' && this.isMicActive && this.ws && this.ws.readyState === WebSocket.OPEN) {
+                        this.ws.send(this.buildAudioFrame(data.pcm, this.audioContext.sampleRate));
+                    }
+                };
+
+                source.connect(this.captureNode);
+                this.captureNode.connect(this.audioContext.destination);
+
+                const mode = this.handsFreeInput.checked ? 'hands_free' : 'push_to_talk';
+                const bargeIn = {
+                    enabled: this.bargeInInput.checked,
+                    sensitivity: this.bargeInSensitivityInput.value
+                };
+                this.ws.send(JSON.stringify({ type: 'start_mic', mode, bargeIn }));
+
+            } catch (error) {
+                this.log(`❌ Failed to start microphone: ${error.message}`);
+                console.error('Microphone error:', error);
+            }
+        }
+
+        flushCapture() {
+            return new Promise((resolve) => {
+                const timer = setTimeout(resolve, 200);
+                this.captureFlushResolve = () => {
+                    clearTimeout(timer);
+                    this.captureFlushResolve = null;
+                    resolve();
+                };
+                this.captureNode.port.postMessage({ type: 'flush' });
+            });
+        }
+
+        async stopMic() {
+            if (this.captureNode) {
+                await this.flushCapture();
+                this.captureNode.port.onmessage = null;
+                this.captureNode = null;
+            }
+
+            if (this.mediaStream) {
+                this.mediaStream.getTracks().forEach(track => track.stop());
+                this.mediaStream = null;
+            }
+
+            if (this.audioContext) {
+                this.audioContext.close();
+                this.audioContext = null;
+            }
+
+            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+                this.ws.send(JSON.stringify({ type: 'stop_mic' }));
+            }
+        }
+
+        interrupt() {
+            if (!this.socketConnected || !this.isGeminiConnected) {
+                this.log('❌ Not connected to server or model');
+                return;
+            }
+
+            if (this.isGeminiSpeaking) {
+                this.log('⏹️ Interrupting AI response...');
+                this.cancelledTurnId = this.currentTurnId;
+                this.isResponseStreaming = false;
+                this.cancelSpeech();
+                this.stopAudioPlayback();
+                this.ws.send(JSON.stringify({ type: 'interrupt', ...(this.currentTurnId ? { turnId: this.currentTurnId } : {}) }));
+            } else {
+                this.log('ℹ️ No AI response to interrupt');
+            }
+        }
+
+        // The server answers voice and text turns alike in this language.
+        sendLanguage() {
+            if (!this.handshakeComplete || !this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+            this.ws.send(JSON.stringify({
+                type: 'set_language',
+                language: this.langInput.value,
+                hinglishScript: this.hinglishScriptInput.value
+            }));
+        }
+
+        submitLead() {
+            const { elements } = this.leadForm;
+            if (!elements.consent.checked) {
+                this.leadErrorEl.textContent = 'Please tick the box so a dealer may call you.';
+                return;
+            }
+            if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+                this.leadErrorEl.textContent = 'Not connected to the server. Please try again.';
+                return;
+            }
+            const message = { type: 'submit_lead', consent: true, consentText: LEAD_CONSENT_TEXT };
+            LEAD_FIELDS.forEach((field) => {
+                const value = elements[field].value.trim();
+                if (value || field !== 'model') message[field] = value;
+            });
+            this.leadErrorEl.textContent = '';
+            this.ws.send(JSON.stringify(message));
+        }
+
+        sendTextMessage() {
+            if (this.send(this.textInputEl.value)) {
+                this.textInputEl.value = '';
+            }
+        }
+    }
+
+    if (!customElements.get('rev-voice')) {
+        customElements.define('rev-voice', RevVoiceElement);
+    }
+
+    const ATTRIBUTE_OPTIONS = {
+        serverUrl: 'server-url',
+        siteKey: 'site-key',
+        dealerId: 'dealer-id',
+        tenant: 'tenant',
+        language: 'language',
+        hinglishScript: 'hinglish-script',
+        theme: 'theme',
+        accentColor: 'accent-color'
+    };
+
+    // Creates a <rev-voice> with the given options and appends it to `parent`.
+    function mount(options = {}, parent = document.body) {
+        const widget = document.createElement('rev-voice');
+        Object.entries(ATTRIBUTE_OPTIONS).forEach(([option, attribute]) => {
+            if (options[option]) widget.setAttribute(attribute, options[option]);
+        });
+        if (options.launcher !== false) widget.setAttribute('launcher', '');
+        ['onMessage', 'onBooking', 'onLead', 'onError', 'onStatus', 'onOpen', 'onClose'].forEach((name) => {
+            if (typeof options[name] === 'function') widget[name] = options[name];
+        });
+        parent.appendChild(widget);
+        return widget;
+    }
+
+    window.RevVoice = { mount, Element: RevVoiceElement };
+
+    // <script ... data-launcher> mounts a floating widget configured from data-* attributes.
+    if (scriptEl && scriptEl.hasAttribute('data-launcher')) {
+        const data = scriptEl.dataset;
+        const options = { serverUrl: DEFAULT_SERVER_URL };
+        Object.keys(ATTRIBUTE_OPTIONS).forEach((option) => {
+            if (data[option]) options[option] = data[option];
+        });
+        const mountWhenReady = () => {
+            window.RevVoice.widget = mount(options);
+        };
+        if (document.body) mountWhenReady();
+        else document.addEventListener('DOMContentLoaded', mountWhenReady);
+    }
+})();
@@ -0,0 +1,72 @@
+// Offline check for persona config changes: validates the config, then
+// composes the prompt and greeting for every case in the fixture set and
+// checks the phrases each must (or must not) contain. No model is called.
+//
+//   npm run check-persona
+//   PERSONA_FILE=./my-persona.json node scripts/check-persona.js --print
+//
+// A case is { name, tenant?, language?, hinglishScript?, withTools?,
+// withKnowledge?, withPrivacy?, expect: [...], reject: [...], greeting: [...] };
+// matching ignores case.
+const fs = require('fs');
+const path = require('path');
+const { readPersonaFile, resolvePersona, composePrompt, greetingFor } = require('../server/persona');
+
+const root = path.join(__dirname, '..');
+const personaFile = path.resolve(process.env.PERSONA_FILE || path.join(root, 'config', 'persona.json'));
+const casesFile = path.resolve(process.env.PERSONA_CASES || path.join(root, 'fixtures', 'persona-cases.json'));
+const print = process.argv.includes('--print');
+
+let config;
+try {
+	config = readPersonaFile(personaFile);
+} catch (error) {
+	console.error(`✗ ${error.message}`);
+	process.exit(1);
+}
+console.log(`✓ ${path.relative(root, personaFile)} is valid (version ${config.version || 'none'})`);
+
+const cases = JSON.parse(fs.readFileSync(casesFile, 'utf8'));
+let failures = 0;
+
+cases.forEach((testCase) => {
+	const problems = [];
+	if (testCase.tenant && !(config.tenants && config.tenants[testCase.tenant])) {
+		problems.push(`tenant "${testCase.tenant}" is not in the config`);
+	}
+	const persona = resolvePersona(config, testCase.tenant);
+	const language = testCase.language && testCase.language !== 'auto' ? testCase.language : null;
+	const prompt = composePrompt(persona, {
+		language,
+		hinglishScript: testCase.hinglishScript,
+		withTools: !!testCase.withTools,
+		withPrivacy: !!testCase.withPrivacy,
+		notes: testCase.withKnowledge ? '[1] Example note' : ''
+	});
+	const greeting = greetingFor(persona, language || 'en');
+	const contains = (text, phrase) => text.toLowerCase().includes(phrase.toLowerCase());
+
+	(testCase.expect || []).forEach((phrase) => {
+		if (!contains(prompt, phrase)) problems.push(`prompt is missing "${phrase}"`);
+	});
+	(testCase.reject || []).forEach((phrase) => {
+		if (contains(prompt, phrase)) problems.push(`prompt should not contain "${phrase}"`);
+	});
+	(testCase.greeting || []).forEach((phrase) => {
+		if (!contains(greeting, phrase)) problems.push(`greeting is missing "${phrase}"`);
+	});
+	const leftover = prompt.match(/\{\w+\}/);
+	if (leftover) problems.push(`prompt has an unfilled placeholder ${leftover[0]}`);
+
+	if (problems.length) {
+		failures += 1;
+		console.log(`✗ ${testCase.name}`);
+		problems.forEach(problem => console.log(`    ${problem}`));
+	} else {
+		console.log(`✓ ${testCase.name}`);
+	}
+	if (print) console.log(`\n${prompt}\n\nGreeting: ${greeting}\n`);
+});
+
+console.log(`\n${cases.length - failures}/${cases.length} cases passed`);
+process.exit(failures ? 1 : 0);
@@ -0,0 +1,237 @@
+// Local stand-in for a phone provider's media stream: one caller ringing Rev.
+//
+//   LLM_PROVIDER=mock TTS_PROVIDER=mock npm start
+//   node scripts/fake-caller.js
+//
+// It opens /telephony like a provider would (connected, then start), streams
+// 20 ms μ-law frames in real time, silence between utterances, and plays Rev's
+// audio back at the same pace, echoing each mark once the audio before it has
+// been "heard" and dropping what is queued on clear. The caller waits for the
+// greeting, says the recording, waits for the reply and repeats until it has
+// spoken FAKE_CALLER_TURNS times (default 2), then hangs up.
+//
+// FAKE_CALLER_AUDIO is the recording: a WAV file (8 kHz μ-law, or PCM16 mono
+// at any rate) or raw 8 kHz μ-law (.ulaw). The default,
+// fixtures/caller-hello.wav, is a synthetic voice-like sound; with the mock
+// provider what it says comes from fixtures/mock-provider.json anyway. Record
+// your own with e.g. `sox in.wav -r 8000 -c 1 -e mu-law out.wav`.
+//
+// FAKE_CALLER_BARGE_IN_MS=800 talks over each reply 800 ms into it instead of
+// waiting for the end. FAKE_CALLER_OUTPUT=rev.wav saves what the caller heard.
+// FAKE_CALLER_URL (default ws://localhost:3000/telephony), FAKE_CALLER_TOKEN
+// (sent as the `token` custom parameter), FAKE_CALLER_LANGUAGE,
+// FAKE_CALLER_DEALER and FAKE_CALLER_TENANT set up the call.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { pcm16ToMulaw, resamplePcm16 } = require('../server/audio');
+
+const CALL_URL = process.env.FAKE_CALLER_URL || 'ws://localhost:3000/telephony';
+const AUDIO = process.env.FAKE_CALLER_AUDIO || path.join(__dirname, '..', 'fixtures', 'caller-hello.wav');
+const TURNS = Number(process.env.FAKE_CALLER_TURNS) || 2;
+const BARGE_IN_MS = Number(process.env.FAKE_CALLER_BARGE_IN_MS) || 0;
+const OUTPUT = process.env.FAKE_CALLER_OUTPUT || '';
+const TIMEOUT_MS = Number(process.env.FAKE_CALLER_TIMEOUT_MS) || 60000;
+const FRAME_BYTES = 160;
+const FRAME_MS = 20;
+const SILENCE = Buffer.alloc(FRAME_BYTES, 0xff);
+// How long Rev must be quiet before the caller takes its turn, and how long
+// the caller waits for a reply that never comes.
+const QUIET_MS = 800;
+const NO_REPLY_MS = 15000;
+
+function readWav(buffer) {
+	let format = null;
+	let data = null;
+	for (let offset = 12; offset + 8 <= buffer.length;) {
+		const id = buffer.toString('ascii', offset, offset + 4);
+		const size = buffer.readUInt32LE(offset + 4);
+		const body = buffer.subarray(offset + 8, offset + 8 + size);
+		if (id === 'fmt ') {
+			format = { code: body.readUInt16LE(0), channels: body.readUInt16LE(2), sampleRate: body.readUInt32LE(4), bits: body.readUInt16LE(14) };
+		} else if (id === 'data') {
+			data = body;
+		}
+		offset += 8 + size + (size % 2);
+	}
+	if (!format || !data) throw new Error('Not a WAV file with fmt and data chunks');
+	if (format.channels !== 1) throw new Error('Only mono recordings are supported');
+	if (format.code === 7 && format.sampleRate === 8000) return data;
+	if (format.code === 1 && format.bits === 16) return pcm16ToMulaw(resamplePcm16(data.subarray(0, data.length & ~1), format.sampleRate, 8000));
+	throw new Error(`Unsupported WAV format ${format.code} at ${format.sampleRate} Hz; use 8 kHz μ-law or PCM16`);
+}
+
+function writeMulawWav(file, data) {
+	const header = Buffer.alloc(44);
+	header.write('RIFF', 0);
+	header.writeUInt32LE(36 + data.length, 4);
+	header.write('WAVE', 8);
+	header.write('fmt ', 12);
+	header.writeUInt32LE(16, 16);
+	header.writeUInt16LE(7, 20);
+	header.writeUInt16LE(1, 22);
+	header.writeUInt32LE(8000, 24);
+	header.writeUInt32LE(8000, 28);
+	header.writeUInt16LE(1, 32);
+	header.writeUInt16LE(8, 34);
+	header.write('data', 36);
+	header.writeUInt32LE(data.length, 40);
+	fs.writeFileSync(file, Buffer.concat([header, data]));
+}
+
+const file = fs.readFileSync(AUDIO);
+const recording = file.toString('ascii', 0, 4) === 'RIFF' ? readWav(file) : file;
+const frames = [];
+for (let offset = 0; offset < recording.length; offset += FRAME_BYTES) {
+	const frame = recording.subarray(offset, offset + FRAME_BYTES);
+	frames.push(frame.length === FRAME_BYTES ? frame : Buffer.concat([frame, SILENCE.subarray(frame.length)]));
+}
+
+const streamSid = `MZ${crypto.randomBytes(16).toString('hex')}`;
+const callSid = `CA${crypto.randomBytes(16).toString('hex')}`;
+const customParameters = {};
+[['token', 'FAKE_CALLER_TOKEN'], ['language', 'FAKE_CALLER_LANGUAGE'], ['dealer', 'FAKE_CALLER_DEALER'], ['tenant', 'FAKE_CALLER_TENANT']].forEach(([name, env]) => {
+	if (process.env[env]) customParameters[name] = process.env[env];
+});
+
+const ws = new WebSocket(CALL_URL);
+const started = Date.now();
+const elapsed = () => `${((Date.now() - started) / 1000).toFixed(1)}s`;
+// What the provider has been sent but not played yet: audio frames and marks.
+let playback = [];
+let heard = [];
+let sequenceNumber = 0;
+let chunk = 0;
+let spoken = 0;
+let talking = null;
+let listeningSince = Date.now();
+let replyFrames = 0;
+let replyStartedAt = null;
+let lastRevAudioAt = 0;
+let clears = 0;
+let ticker = null;
+
+const send = payload => ws.send(JSON.stringify({ ...payload, sequenceNumber: String(++sequenceNumber) }));
+
+function sendMedia(frame) {
+	chunk += 1;
+	send({ event: 'media', streamSid, media: { track: 'inbound', chunk: String(chunk), timestamp: String(chunk * FRAME_MS), payload: frame.toString('base64') } });
+}
+
+function echoMark(name) {
+	send({ event: 'mark', streamSid, mark: { name } });
+}
+
+function playFrame() {
+	while (playback.length && playback[0].mark) echoMark(playback.shift().mark);
+	if (!playback.length) return;
+	heard.push(playback.shift().audio);
+	if (!replyStartedAt) {
+		replyStartedAt = Date.now();
+		console.log(`[${elapsed()}] Rev is speaking`);
+	}
+	replyFrames += 1;
+	lastRevAudioAt = Date.now();
+	if (!playback.length || !playback[0].mark) return;
+	while (playback.length && playback[0].mark) echoMark(playback.shift().mark);
+	console.log(`[${elapsed()}] Rev finished, ${(replyFrames * FRAME_MS / 1000).toFixed(1)} s heard`);
+}
+
+function startTalking() {
+	console.log(`[${elapsed()}] Caller speaks (${spoken + 1}/${TURNS})${playback.length ? ' over Rev' : ''}`);
+	talking = frames.slice();
+}
+
+function tick() {
+	playFrame();
+	if (talking) {
+		sendMedia(talking.shift());
+		if (talking.length === 0) {
+			talking = null;
+			spoken += 1;
+			listeningSince = Date.now();
+			replyFrames = 0;
+			replyStartedAt = null;
+		}
+		return;
+	}
+	sendMedia(SILENCE);
+	const quiet = !playback.length && Date.now() - lastRevAudioAt > QUIET_MS;
+	const answered = replyFrames > 0 || Date.now() - listeningSince > NO_REPLY_MS;
+	if (replyFrames === 0 && Date.now() - listeningSince > NO_REPLY_MS) {
+		console.log(`[${elapsed()}] No reply from Rev after ${NO_REPLY_MS / 1000} s`);
+		listeningSince = Date.now();
+	}
+	if (spoken >= TURNS) {
+		if (quiet && answered) hangUp();
+		return;
+	}
+	if (BARGE_IN_MS && spoken > 0 && replyStartedAt && playback.length && Date.now() - replyStartedAt >= BARGE_IN_MS) {
+		startTalking();
+	} else if (quiet && answered) {
+		startTalking();
+	}
+}
+
+function hangUp() {
+	clearInterval(ticker);
+	console.log(`[${elapsed()}] Hanging up: spoke ${spoken} times, heard ${(heard.length * FRAME_MS / 1000).toFixed(1)} s of Rev, ${clears} clear(s)`);
+	send({ event: 'stop', streamSid, stop: { callSid } });
+	if (OUTPUT) {
+		writeMulawWav(OUTPUT, Buffer.concat(heard));
+		console.log('Saved what the caller heard to', OUTPUT);
+	}
+	ws.close();
+}
+
+ws.on('open', () => {
+	console.log('Connected to', CALL_URL);
+	send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+	send({
+		event: 'start',
+		streamSid,
+		start: { streamSid, callSid, accountSid: 'AC-fake', tracks: ['inbound'], customParameters, mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 } }
+	});
+	ticker = setInterval(tick, FRAME_MS);
+});
+
+ws.on('message', (data) => {
+	const message = JSON.parse(data.toString());
+	switch (message.event) {
+		case 'media':
+			playback.push({ audio: Buffer.from(message.media.payload, 'base64') });
+			break;
+		case 'mark':
+			playback.push({ mark: message.mark.name });
+			break;
+		case 'clear': {
+			const dropped = playback.filter(item => item.audio).length;
+			clears += 1;
+			console.log(`[${elapsed()}] Line cleared, ${(dropped * FRAME_MS / 1000).toFixed(1)} s of Rev dropped`);
+			// Providers echo the marks of cleared audio straight away.
+			playback.filter(item => item.mark).forEach(item => echoMark(item.mark));
+			playback = [];
+			replyStartedAt = null;
+			break;
+		}
+		default:
+			console.log('Unexpected event from Rev:', message.event);
+	}
+});
+
+ws.on('close', (code, reason) => {
+	clearInterval(ticker);
+	console.log(`[${elapsed()}] Call closed:`, code, reason.toString());
+	process.exit(code === 1000 || code === 1005 ? 0 : 1);
+});
+
+ws.on('error', (error) => {
+	console.error('Call failed:', error.message);
+	process.exit(1);
+});
+
+setTimeout(() => {
+	console.error(`Gave up after ${TIMEOUT_MS / 1000} s`);
+	process.exit(1);
+}, TIMEOUT_MS).unref();
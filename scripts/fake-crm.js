@@ -0,0 +1,57 @@
+// Local stand-in for the CRM lead webhook.
+//
+//   FAKE_CRM_SECRET=dev node scripts/fake-crm.js
+//   CRM_WEBHOOK_URL=http://localhost:9091/leads CRM_WEBHOOK_SECRET=dev npm start
+//
+// It checks the X-Rev-Signature header when FAKE_CRM_SECRET is set (401 if it
+// does not match), logs each lead and answers 200. FAKE_CRM_FAIL=3 answers
+// the first three requests with 503 to exercise retries; FAKE_CRM_STATUS=422
+// answers every request with that status to exercise dead-lettering.
+const http = require('http');
+const { signPayload } = require('../server/crm-outbox');
+
+const PORT = Number(process.env.FAKE_CRM_PORT || 9091);
+const SECRET = process.env.FAKE_CRM_SECRET || '';
+const STATUS = Number(process.env.FAKE_CRM_STATUS) || 200;
+let failuresLeft = Number(process.env.FAKE_CRM_FAIL) || 0;
+const seen = new Set();
+
+const server = http.createServer((req, res) => {
+	if (req.method !== 'POST') {
+		res.writeHead(405).end();
+		return;
+	}
+	const chunks = [];
+	req.on('data', chunk => chunks.push(chunk));
+	req.on('end', () => {
+		const body = Buffer.concat(chunks).toString('utf8');
+		const delivery = req.headers['x-rev-delivery'];
+		if (SECRET) {
+			const expected = signPayload(SECRET, req.headers['x-rev-timestamp'], body);
+			if (req.headers['x-rev-signature'] !== expected) {
+				console.log('Rejected delivery with a bad signature:', delivery);
+				res.writeHead(401).end('bad signature');
+				return;
+			}
+		}
+		if (failuresLeft > 0) {
+			failuresLeft -= 1;
+			console.log('Failing delivery on purpose:', delivery, `(${failuresLeft} more)`);
+			res.writeHead(503).end('try again');
+			return;
+		}
+		if (STATUS !== 200) {
+			console.log(`Answering ${STATUS}:`, delivery);
+			res.writeHead(STATUS).end('rejected');
+			return;
+		}
+		const { event, lead } = JSON.parse(body);
+		console.log(`${seen.has(delivery) ? 'Duplicate' : 'Received'} ${event}:`, delivery, lead.id, lead.name, lead.phone, lead.city, lead.model || '-');
+		seen.add(delivery);
+		res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ ok: true }));
+	});
+});
+
+server.listen(PORT, () => {
+	console.log(`Fake CRM webhook listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,72 @@
+// Local stand-in for the Gemini Live BidiGenerateContent endpoint.
+//
+//   node scripts/fake-live-server.js
+//   GEMINI_LIVE=true GEMINI_LIVE_URL=ws://localhost:9090 GOOGLE_API_KEY=dummy npm start
+//
+// It answers setup with setupComplete, counts the PCM16 audio it receives
+// between activityStart/activityEnd and replies with a short text turn (plus
+// a tone when AUDIO output was requested).
+const WebSocket = require('ws');
+
+const PORT = Number(process.env.FAKE_LIVE_PORT || 9090);
+const wss = new WebSocket.Server({ port: PORT });
+
+function toneChunk(durationMs, sampleRate = 24000) {
+	const samples = Math.floor(sampleRate * durationMs / 1000);
+	const buffer = Buffer.alloc(samples * 2);
+	for (let i = 0; i < samples; i++) {
+		buffer.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * i / sampleRate) * 4000), i * 2);
+	}
+	return buffer.toString('base64');
+}
+
+wss.on('connection', (ws, req) => {
+	const url = new URL(req.url, `http://localhost:${PORT}`);
+	console.log('Live client connected, key present:', url.searchParams.has('key'));
+
+	let modalities = ['TEXT'];
+	let audioBytes = 0;
+
+	const send = (payload) => ws.send(JSON.stringify(payload));
+
+	const reply = (userText) => {
+		const words = `You said: ${userText}. Revolt bikes are great for city rides.`.split(' ');
+		if (modalities.includes('AUDIO')) {
+			send({ serverContent: { modelTurn: { parts: [{ inlineData: { mimeType: 'audio/pcm;rate=24000', data: toneChunk(200) } }] } } });
+			send({ serverContent: { outputTranscription: { text: words.join(' ') } } });
+		} else {
+			for (let i = 0; i < words.length; i += 3) {
+				send({ serverContent: { modelTurn: { parts: [{ text: words.slice(i, i + 3).join(' ') + ' ' }] } } });
+			}
+		}
+		send({ serverContent: { turnComplete: true } });
+	};
+
+	ws.on('message', (data) => {
+		const message = JSON.parse(data.toString());
+		if (message.setup) {
+			modalities = (message.setup.generationConfig && message.setup.generationConfig.responseModalities) || modalities;
+			console.log('Setup for', message.setup.model, modalities);
+			send({ setupComplete: {} });
+			return;
+		}
+		if (message.realtimeInput) {
+			const input = message.realtimeInput;
+			if (input.activityStart) audioBytes = 0;
+			if (input.audio) audioBytes += Buffer.from(input.audio.data, 'base64').length;
+			if (input.activityEnd || input.audioStreamEnd) {
+				const ms = Math.round(audioBytes / 2 / 16);
+				send({ serverContent: { inputTranscription: { text: `(${ms} ms of audio)` } } });
+				reply(`${ms} milliseconds of audio`);
+			}
+			return;
+		}
+		if (message.clientContent && message.clientContent.turnComplete) {
+			const turns = message.clientContent.turns || [];
+			const last = turns[turns.length - 1];
+			reply(last && last.parts && last.parts[0] ? last.parts[0].text : '');
+		}
+	});
+});
+
+console.log(`Fake Gemini Live server listening on ws://localhost:${PORT}`);
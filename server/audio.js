@@ -0,0 +1,112 @@
+// Binary mic frames: [uint32 LE sequence][uint32 LE sample rate][PCM16 LE samples]
+const AUDIO_FRAME_HEADER_BYTES = 8;
+const TARGET_SAMPLE_RATE = 16000;
+
+function parseAudioFrame(data) {
+	const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+	if (buffer.length < AUDIO_FRAME_HEADER_BYTES) {
+		throw new Error('Audio frame too short');
+	}
+	const seq = buffer.readUInt32LE(0);
+	const sampleRate = buffer.readUInt32LE(4);
+	if (sampleRate < 8000 || sampleRate > 48000) {
+		throw new Error(`Unsupported sample rate: ${sampleRate}`);
+	}
+	const pcmLength = (buffer.length - AUDIO_FRAME_HEADER_BYTES) & ~1;
+	const pcm = buffer.subarray(AUDIO_FRAME_HEADER_BYTES, AUDIO_FRAME_HEADER_BYTES + pcmLength);
+	return { seq, sampleRate, pcm };
+}
+
+function pcm16FromBuffer(buffer) {
+	const aligned = buffer.byteOffset % 2 === 0 ? buffer : Buffer.from(buffer);
+	return new Int16Array(aligned.buffer, aligned.byteOffset, aligned.length / 2);
+}
+
+function resamplePcm16(pcm, fromRate, toRate = TARGET_SAMPLE_RATE) {
+	if (fromRate === toRate) return pcm;
+	const input = pcm16FromBuffer(pcm);
+	const outputLength = Math.floor(input.length * toRate / fromRate);
+	const output = Buffer.alloc(outputLength * 2);
+	const ratio = fromRate / toRate;
+	for (let i = 0; i < outputLength; i++) {
+		const position = i * ratio;
+		const index = Math.floor(position);
+		const next = Math.min(index + 1, input.length - 1);
+		const fraction = position - index;
+		const sample = input[index] + (input[next] - input[index]) * fraction;
+		output.writeInt16LE(Math.round(sample), i * 2);
+	}
+	return output;
+}
+
+// G.711 μ-law, as used by phone networks: one byte per sample, 8 kHz.
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+function mulawToPcm16(mulaw) {
+	const output = Buffer.alloc(mulaw.length * 2);
+	for (let i = 0; i < mulaw.length; i++) {
+		const byte = ~mulaw[i] & 0xff;
+		const exponent = (byte >> 4) & 0x07;
+		const magnitude = ((((byte & 0x0f) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+		output.writeInt16LE(byte & 0x80 ? -magnitude : magnitude, i * 2);
+	}
+	return output;
+}
+
+function pcm16ToMulaw(pcm) {
+	const input = pcm16FromBuffer(pcm);
+	const output = Buffer.alloc(input.length);
+	for (let i = 0; i < input.length; i++) {
+		let sample = input[i];
+		const sign = sample < 0 ? 0x80 : 0;
+		if (sign) sample = -sample;
+		sample = Math.min(sample, MULAW_CLIP) + MULAW_BIAS;
+		let exponent = 7;
+		for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) exponent -= 1;
+		const mantissa = (sample >> (exponent + 3)) & 0x0f;
+		output[i] = ~(sign | (exponent << 4) | mantissa) & 0xff;
+	}
+	return output;
+}
+
+function encodeWavFromPCM16(int16Array, sampleRate = TARGET_SAMPLE_RATE) {
+	const numFrames = int16Array.length;
+	const bytesPerSample = 2;
+	const blockAlign = bytesPerSample * 1;
+	const byteRate = sampleRate * blockAlign;
+	const dataSize = numFrames * bytesPerSample;
+	const buffer = Buffer.alloc(44 + dataSize);
+	let offset = 0;
+
+	buffer.write('RIFF', offset); offset += 4;
+	buffer.writeUInt32LE(36 + dataSize, offset); offset += 4;
+	buffer.write('WAVE', offset); offset += 4;
+	buffer.write('fmt ', offset); offset += 4;
+	buffer.writeUInt32LE(16, offset); offset += 4;
+	buffer.writeUInt16LE(1, offset); offset += 2;
+	buffer.writeUInt16LE(1, offset); offset += 2;
+	buffer.writeUInt32LE(sampleRate, offset); offset += 4;
+	buffer.writeUInt32LE(byteRate, offset); offset += 4;
+	buffer.writeUInt16LE(blockAlign, offset); offset += 2;
+	buffer.writeUInt16LE(16, offset); offset += 2;
+	buffer.write('data', offset); offset += 4;
+	buffer.writeUInt32LE(dataSize, offset); offset += 4;
+
+	for (let i = 0; i < int16Array.length; i++) {
+		buffer.writeInt16LE(int16Array[i], offset);
+		offset += 2;
+	}
+	return buffer;
+}
+
+module.exports = {
+	AUDIO_FRAME_HEADER_BYTES,
+	TARGET_SAMPLE_RATE,
+	parseAudioFrame,
+	pcm16FromBuffer,
+	resamplePcm16,
+	mulawToPcm16,
+	pcm16ToMulaw,
+	encodeWavFromPCM16
+};
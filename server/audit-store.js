@@ -0,0 +1,55 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Guardrail audit events. Stores implement `save(event)` and `list()`; both
+// return promises.
+class MemoryAuditStore {
+	constructor() {
+		this.events = [];
+	}
+
+	async save(event) {
+		this.events.push(event);
+		return event;
+	}
+
+	async list() {
+		return this.events.slice();
+	}
+}
+
+// Appends one JSON line per event, like the booking store.
+class FileAuditStore {
+	constructor(filePath) {
+		this.filePath = filePath;
+	}
+
+	async save(event) {
+		await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+		await fs.appendFile(this.filePath, JSON.stringify(event) + '\n', 'utf8');
+		return event;
+	}
+
+	async list() {
+		try {
+			const content = await fs.readFile(this.filePath, 'utf8');
+			return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+		} catch (error) {
+			if (error.code === 'ENOENT') return [];
+			throw error;
+		}
+	}
+}
+
+function createAuditStore({ type = 'file', filePath } = {}) {
+	switch (type) {
+		case 'memory':
+			return new MemoryAuditStore();
+		case 'file':
+			return new FileAuditStore(filePath);
+		default:
+			throw new Error(`Unknown audit store: ${type}`);
+	}
+}
+
+module.exports = { createAuditStore, MemoryAuditStore, FileAuditStore };
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Access tokens are `<base64url payload>.<hmac>`; the payload carries the
+// embedding site, the origin it was issued to and an expiry.
+function createAccessTokens(secret, { ttlMs = 5 * 60 * 1000 } = {}) {
+	const sign = (body) => crypto.createHmac('sha256', secret).update(body).digest('base64url');
+	return {
+		issue({ siteId, origin }) {
+			const expiresAt = Date.now() + ttlMs;
+			const body = Buffer.from(JSON.stringify({ site: siteId, origin: origin || null, exp: expiresAt })).toString('base64url');
+			return { token: `${body}.${sign(body)}`, expiresAt };
+		},
+		verify(token) {
+			if (typeof token !== 'string') return null;
+			const [body, signature] = token.split('.');
+			if (!body || !signature) return null;
+			const expected = Buffer.from(sign(body));
+			const actual = Buffer.from(signature);
+			if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+			let payload;
+			try {
+				payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+			} catch (error) {
+				return null;
+			}
+			if (!payload || typeof payload.exp !== 'number' || payload.exp <= Date.now()) return null;
+			return { siteId: payload.site, origin: payload.origin };
+		}
+	};
+}
+
+// Sites that may embed Rev: [{ id, key, origins: [...] }]. The key is a
+// public bootstrap key that identifies the site; origins are what browsers
+// on that site send.
+function loadEmbedSites(filePath) {
+	let sites;
+	try {
+		sites = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	} catch (error) {
+		if (error.code === 'ENOENT') return [];
+		throw new Error(`Could not read embed sites from ${filePath}: ${error.message}`);
+	}
+	if (!Array.isArray(sites)) throw new Error(`${filePath} must contain an array of sites`);
+	return sites.map((site, i) => {
+		if (!site || !site.id || !site.key || !Array.isArray(site.origins)) {
+			throw new Error(`Embed site ${i} in ${filePath} needs id, key and origins`);
+		}
+		return { id: String(site.id), key: String(site.key), origins: site.origins.map(normalizeOrigin).filter(Boolean) };
+	});
+}
+
+function normalizeOrigin(origin) {
+	try {
+		return new URL(origin).origin;
+	} catch (error) {
+		return null;
+	}
+}
+
+function safeEqual(a, b) {
+	const left = Buffer.from(String(a));
+	const right = Buffer.from(String(b));
+	return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Decides which browser origins may call the API and open the WebSocket: the
+// server's own origin, ALLOWED_ORIGINS, and every embed site's origins.
+function createOriginPolicy({ allowedOrigins = [], sites = [] } = {}) {
+	const allowAll = allowedOrigins.includes('*');
+	const origins = new Set(allowedOrigins.map(normalizeOrigin).filter(Boolean));
+	sites.forEach(site => site.origins.forEach(origin => origins.add(origin)));
+
+	return {
+		isSameOrigin(origin, host) {
+			const normalized = normalizeOrigin(origin);
+			return !!normalized && !!host && new URL(normalized).host === host;
+		},
+		isAllowed(origin, host) {
+			if (!origin) return false;
+			return allowAll || origins.has(normalizeOrigin(origin)) || this.isSameOrigin(origin, host);
+		},
+		findSite(key) {
+			return typeof key === 'string' && key ? sites.find(site => safeEqual(site.key, key)) || null : null;
+		},
+		siteAllowsOrigin(site, origin) {
+			return allowAll || site.origins.includes(normalizeOrigin(origin));
+		}
+	};
+}
+
+module.exports = { createAccessTokens, loadEmbedSites, createOriginPolicy, normalizeOrigin };
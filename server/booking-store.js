@@ -0,0 +1,54 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Stores implement `save(booking)` and `list()`; both return promises.
+class MemoryBookingStore {
+	constructor() {
+		this.bookings = [];
+	}
+
+	async save(booking) {
+		this.bookings.push(booking);
+		return booking;
+	}
+
+	async list() {
+		return this.bookings.slice();
+	}
+}
+
+// Appends one JSON line per booking so the file survives restarts.
+class FileBookingStore {
+	constructor(filePath) {
+		this.filePath = filePath;
+	}
+
+	async save(booking) {
+		await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+		await fs.appendFile(this.filePath, JSON.stringify(booking) + '\n', 'utf8');
+		return booking;
+	}
+
+	async list() {
+		try {
+			const content = await fs.readFile(this.filePath, 'utf8');
+			return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+		} catch (error) {
+			if (error.code === 'ENOENT') return [];
+			throw error;
+		}
+	}
+}
+
+function createBookingStore({ type = 'file', filePath } = {}) {
+	switch (type) {
+		case 'memory':
+			return new MemoryBookingStore();
+		case 'file':
+			return new FileBookingStore(filePath);
+		default:
+			throw new Error(`Unknown booking store: ${type}`);
+	}
+}
+
+module.exports = { createBookingStore, MemoryBookingStore, FileBookingStore };
@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// Durable delivery of leads to the CRM webhook. Each lead becomes an entry
+// that is kept until the webhook accepts it; entries the CRM rejects outright
+// (4xx) or that run out of attempts are dead-lettered and can be retried from
+// the admin API. Delivery is at least once, so the CRM should dedupe on the
+// X-Rev-Delivery header.
+//
+// The store is only listed once, at the first drain; after that the outbox
+// keeps pending entries in an index, so polling does not get slower as
+// delivered entries pile up.
+//
+// Stores implement `put(entry)`, `get(id)` and `list()`; all return promises.
+class MemoryOutboxStore {
+	constructor() {
+		this.entries = new Map();
+	}
+
+	async put(entry) {
+		this.entries.set(entry.id, { ...entry });
+		return entry;
+	}
+
+	async get(id) {
+		const entry = this.entries.get(id);
+		return entry ? { ...entry } : null;
+	}
+
+	async list() {
+		return [...this.entries.values()].map(entry => ({ ...entry }));
+	}
+}
+
+// One JSON file per entry, written atomically, like the session store.
+class FileOutboxStore {
+	constructor(dir) {
+		this.dir = dir;
+	}
+
+	_file(id) {
+		return path.join(this.dir, `${id}.json`);
+	}
+
+	async put(entry) {
+		await fs.mkdir(this.dir, { recursive: true });
+		const file = this._file(entry.id);
+		const tmp = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+		await fs.writeFile(tmp, JSON.stringify(entry), 'utf8');
+		await fs.rename(tmp, file);
+		return entry;
+	}
+
+	async get(id) {
+		if (!/^[\w-]+$/.test(id)) return null;
+		try {
+			return JSON.parse(await fs.readFile(this._file(id), 'utf8'));
+		} catch (error) {
+			if (error.code === 'ENOENT') return null;
+			throw error;
+		}
+	}
+
+	async list() {
+		let files;
+		try {
+			files = await fs.readdir(this.dir);
+		} catch (error) {
+			if (error.code === 'ENOENT') return [];
+			throw error;
+		}
+		const entries = await Promise.all(files.filter(name => name.endsWith('.json')).map(async (name) => {
+			try {
+				return JSON.parse(await fs.readFile(path.join(this.dir, name), 'utf8'));
+			} catch (error) {
+				return null;
+			}
+		}));
+		return entries.filter(Boolean);
+	}
+}
+
+function createOutboxStore({ type = 'file', dir } = {}) {
+	switch (type) {
+		case 'memory':
+			return new MemoryOutboxStore();
+		case 'file':
+			return new FileOutboxStore(dir);
+		default:
+			throw new Error(`Unknown outbox store: ${type}`);
+	}
+}
+
+// HMAC-SHA256 over `<timestamp>.<body>`, sent as X-Rev-Signature.
+function signPayload(secret, timestamp, body) {
+	return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+const RETRYABLE_CLIENT_ERRORS = [408, 425, 429];
+
+// Emits 'delivered', 'retry' and 'dead' with the entry after each attempt.
+class CrmOutbox extends EventEmitter {
+	constructor({ store, url = '', secret = '', fetch = globalThis.fetch, maxAttempts = 8, retryBaseMs = 5000, retryMaxMs = 15 * 60 * 1000, timeoutMs = 10000, log = console }) {
+		super();
+		this.store = store;
+		this.url = url;
+		this.secret = secret;
+		this.fetch = fetch;
+		this.maxAttempts = maxAttempts;
+		this.retryBaseMs = retryBaseMs;
+		this.retryMaxMs = retryMaxMs;
+		this.timeoutMs = timeoutMs;
+		this.log = log;
+		// id -> { createdAt, nextAttemptAt } of pending entries, once loaded.
+		this.pending = null;
+		this.loading = null;
+		this.delivered = 0;
+		this.dead = 0;
+		this.running = null;
+		this.again = false;
+		this.timer = null;
+	}
+
+	get configured() {
+		return !!this.url;
+	}
+
+	get counts() {
+		return { pending: this.pending ? this.pending.size : 0, delivered: this.delivered, dead: this.dead };
+	}
+
+	async enqueue(lead) {
+		const now = new Date().toISOString();
+		const entry = {
+			id: `dlv-${crypto.randomUUID()}`,
+			event: 'lead.created',
+			leadId: lead.id,
+			payload: { lead },
+			status: 'pending',
+			attempts: 0,
+			nextAttemptAt: now,
+			lastError: null,
+			createdAt: now,
+			deliveredAt: null
+		};
+		await this.store.put(entry);
+		this._schedule(entry, await this._index());
+		this.kick();
+		return entry;
+	}
+
+	// Polls for due entries, including those left from before a restart.
+	start(pollMs = 5000) {
+		this.timer = setInterval(() => this.kick(), pollMs);
+		this.timer.unref();
+		this.kick();
+	}
+
+	stop() {
+		clearInterval(this.timer);
+	}
+
+	kick() {
+		if (this.running) {
+			this.again = true;
+			return this.running;
+		}
+		this.running = this._drain()
+			.catch(error => this.log.error('CRM outbox failed', { error }))
+			.finally(() => {
+				this.running = null;
+			});
+		return this.running;
+	}
+
+	// Puts a dead-lettered entry back in the queue with a fresh set of
+	// attempts. Returns { entry, requeued }; entry is null for an unknown id.
+	async retry(id) {
+		const pending = await this._index();
+		const entry = await this.store.get(id);
+		if (!entry || entry.status !== 'dead') return { entry, requeued: false };
+		Object.assign(entry, { status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString() });
+		await this.store.put(entry);
+		this.dead -= 1;
+		this._schedule(entry, pending);
+		this.log.info('CRM delivery requeued', { deliveryId: entry.id, leadId: entry.leadId });
+		this.kick();
+		return { entry, requeued: true };
+	}
+
+	list() {
+		return this.store.list();
+	}
+
+	// Loads the pending index and the counts from the store, once.
+	_index() {
+		if (!this.loading) {
+			this.loading = this.store.list().then((entries) => {
+				const pending = new Map();
+				entries.forEach((entry) => {
+					if (entry.status === 'pending') this._schedule(entry, pending);
+					else if (entry.status === 'delivered') this.delivered += 1;
+					else if (entry.status === 'dead') this.dead += 1;
+				});
+				this.pending = pending;
+				return pending;
+			}, (error) => {
+				this.loading = null;
+				throw error;
+			});
+		}
+		return this.loading;
+	}
+
+	_schedule(entry, pending) {
+		pending.set(entry.id, { createdAt: entry.createdAt, nextAttemptAt: entry.nextAttemptAt });
+	}
+
+	async _drain() {
+		const pending = await this._index();
+		do {
+			this.again = false;
+			if (!this.configured) return;
+			const now = new Date().toISOString();
+			const due = [...pending.entries()]
+				.filter(([, timing]) => timing.nextAttemptAt <= now)
+				.sort(([, a], [, b]) => a.createdAt.localeCompare(b.createdAt));
+			for (const [id] of due) {
+				const entry = await this.store.get(id);
+				if (entry && entry.status === 'pending') await this._deliver(entry);
+				else pending.delete(id);
+			}
+		} while (this.again);
+	}
+
+	async _deliver(entry) {
+		const body = JSON.stringify({ event: entry.event, deliveryId: entry.id, ...entry.payload });
+		const timestamp = String(Math.floor(Date.now() / 1000));
+		const headers = {
+			'Content-Type': 'application/json',
+			'X-Rev-Event': entry.event,
+			'X-Rev-Delivery': entry.id,
+			'X-Rev-Timestamp': timestamp
+		};
+		if (this.secret) headers['X-Rev-Signature'] = signPayload(this.secret, timestamp, body);
+
+		entry.attempts += 1;
+		entry.lastAttemptAt = new Date().toISOString();
+		let permanent = false;
+		let retryAfterMs = 0;
+		try {
+			const response = await this.fetch(this.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(this.timeoutMs) });
+			const text = await response.text().catch(() => '');
+			if (response.ok) {
+				Object.assign(entry, { status: 'delivered', deliveredAt: new Date().toISOString(), lastError: null });
+				await this.store.put(entry);
+				this.pending.delete(entry.id);
+				this.delivered += 1;
+				this.log.info('Lead delivered to CRM', { deliveryId: entry.id, leadId: entry.leadId, attempts: entry.attempts });
+				this.emit('delivered', entry);
+				return;
+			}
+			entry.lastError = `HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`;
+			permanent = response.status >= 400 && response.status < 500 && !RETRYABLE_CLIENT_ERRORS.includes(response.status);
+			retryAfterMs = (Number(response.headers.get('retry-after')) || 0) * 1000;
+		} catch (error) {
+			entry.lastError = error.name === 'TimeoutError' ? `Timed out after ${this.timeoutMs} ms` : error.message;
+		}
+
+		if (permanent || entry.attempts >= this.maxAttempts) {
+			entry.status = 'dead';
+			await this.store.put(entry);
+			this.pending.delete(entry.id);
+			this.dead += 1;
+			this.log.error('CRM delivery dead-lettered', { deliveryId: entry.id, leadId: entry.leadId, attempts: entry.attempts, error: entry.lastError });
+			this.emit('dead', entry);
+			return;
+		}
+		const delay = Math.max(retryAfterMs, this._backoff(entry.attempts));
+		entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+		await this.store.put(entry);
+		this._schedule(entry, this.pending);
+		this.log.warn('CRM delivery failed, will retry', { deliveryId: entry.id, leadId: entry.leadId, attempts: entry.attempts, retryInMs: delay, error: entry.lastError });
+		this.emit('retry', entry);
+	}
+
+	_backoff(attempt) {
+		const delay = Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** (attempt - 1));
+		return Math.round(delay * (0.8 + Math.random() * 0.4));
+	}
+}
+
+module.exports = { CrmOutbox, createOutboxStore, signPayload, MemoryOutboxStore, FileOutboxStore };
@@ -0,0 +1,338 @@
+const fs = require('fs');
+
+// Checks around model calls, configured in config/guardrails.json.
+// Before a call, personal data in the user's words is swapped for
+// placeholders such as [PHONE_1], which are put back in replies and tool
+// arguments, and input rules may answer instead of the model (abuse,
+// off-topic requests). After it, output rules check the reply one sentence at
+// a time. Every hit is recorded as an audit event.
+const PII_KINDS = {
+	aadhaar: {
+		label: 'AADHAAR',
+		pattern: /(?<![\d+])[2-9]\d{3}[ -]?\d{4}[ -]?\d{4}(?!\d)/g,
+		key: value => value.replace(/\D/g, '')
+	},
+	phone: {
+		label: 'PHONE',
+		pattern: /(?<![\d+])(?:\+91[ -]?|0)?[6-9]\d{4}[ -]?\d{5}(?!\d)/g,
+		key: value => value.replace(/\D/g, '').slice(-10)
+	},
+	email: {
+		label: 'EMAIL',
+		pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+		key: value => value.toLowerCase()
+	},
+	pan: {
+		label: 'PAN',
+		pattern: /\b[A-Z]{5}\d{4}[A-Z]\b/gi,
+		key: value => value.toUpperCase()
+	},
+	// House or flat numbers and what follows in the same clause; a pincode is
+	// left in place so dealer search still works.
+	address: {
+		label: 'ADDRESS',
+		pattern: /\b(?:(?:flat|house|h\.? ?no\.?|plot|door)\s*(?:no\.?|number)?\s*[:#]?\s*\d[\w/-]*|(?:my )?address(?: is|:))[^.!?\n]{0,80}/gi,
+		trim: value => value.split(/,?\s+(?:and|but|so)\s|[\s,]*\b\d{6}\b/i)[0].trim(),
+		key: value => value.toLowerCase().replace(/\s+/g, ' ')
+	}
+};
+
+const PLACEHOLDER = /\[([A-Z]+)_(\d+)\]/g;
+const SENTENCE_BOUNDARY = /[.!?।]+["')\]]*\s+/g;
+const INPUT_ACTIONS = ['block', 'flag'];
+const OUTPUT_ACTIONS = ['replace', 'drop', 'flag'];
+const RECENT_EVENTS = 100;
+
+function isObject(value) {
+	return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkRules(rules, stage, actions, replies, errors) {
+	if (!Array.isArray(rules)) {
+		errors.push(`${stage} must be an array`);
+		return;
+	}
+	const ids = new Set();
+	rules.forEach((rule, index) => {
+		const where = `${stage}[${index}]`;
+		if (!isObject(rule)) {
+			errors.push(`${where} must be an object`);
+			return;
+		}
+		if (typeof rule.id !== 'string' || !rule.id) errors.push(`${where}.id is required`);
+		else if (ids.has(rule.id)) errors.push(`${where}.id "${rule.id}" is a duplicate`);
+		ids.add(rule.id);
+		if (typeof rule.category !== 'string' || !rule.category) errors.push(`${where}.category is required`);
+		if (!actions.includes(rule.action)) errors.push(`${where}.action must be one of ${actions.join(', ')}`);
+		if (!Array.isArray(rule.match) || !rule.match.length) {
+			errors.push(`${where}.match must be a non-empty array of patterns`);
+		} else {
+			rule.match.forEach((pattern) => {
+				try {
+					new RegExp(pattern, 'i');
+				} catch (error) {
+					errors.push(`${where}.match has an invalid pattern: ${error.message}`);
+				}
+			});
+		}
+		if (rule.action !== 'flag' && !(isObject(replies) && isObject(replies[rule.reply]))) {
+			errors.push(`${where}.reply must name an entry of replies`);
+		}
+	});
+}
+
+// Returns a list of problems; empty when the config is usable.
+function validateGuardrailsConfig(config) {
+	if (!isObject(config)) return ['the config must be an object'];
+	const errors = [];
+	if (!Array.isArray(config.redact) || config.redact.some(kind => !PII_KINDS[kind])) {
+		errors.push(`redact must be an array of ${Object.keys(PII_KINDS).join(', ')}`);
+	}
+	checkRules(config.input, 'input', INPUT_ACTIONS, config.replies, errors);
+	checkRules(config.output, 'output', OUTPUT_ACTIONS, config.replies, errors);
+	if (!isObject(config.replies)) {
+		errors.push('replies must be an object');
+	} else {
+		Object.keys(config.replies).forEach((key) => {
+			const reply = config.replies[key];
+			if (!isObject(reply) || typeof reply.en !== 'string' || !reply.en) errors.push(`replies.${key}.en is required`);
+		});
+	}
+	return errors;
+}
+
+function readGuardrailsFile(filePath) {
+	let config;
+	try {
+		config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	} catch (error) {
+		throw new Error(`Could not read the guardrails config from ${filePath}: ${error.message}`);
+	}
+	const errors = validateGuardrailsConfig(config);
+	if (errors.length) throw new Error(`Invalid guardrails config in ${filePath}: ${errors.join('; ')}`);
+	return config;
+}
+
+function compileRule(rule) {
+	return { ...rule, match: rule.match.map(pattern => new RegExp(pattern, 'i')) };
+}
+
+function matches(rule, text) {
+	return rule.match.every(pattern => pattern.test(text));
+}
+
+function excerpt(text) {
+	return text.length > 200 ? `${text.slice(0, 199)}…` : text;
+}
+
+// Placeholders for one conversation. The same value always gets the same
+// placeholder, numbered in order of first appearance, so redacting the stored
+// history again after a restart rebuilds the same mapping.
+class PiiVault {
+	constructor(kinds) {
+		this.kinds = kinds;
+		this.values = new Map();
+		this.placeholders = new Map();
+		this.counts = {};
+	}
+
+	// Returns the text with placeholders and the kinds found, one per match.
+	redact(text) {
+		const found = [];
+		let result = String(text || '');
+		this.kinds.forEach((kind) => {
+			const { label, pattern, trim, key } = PII_KINDS[kind];
+			result = result.replace(pattern, (match) => {
+				const value = trim ? trim(match) : match;
+				if (!value) return match;
+				found.push(kind);
+				return this._placeholder(kind, label, key(this.restore(value)), this.restore(value)) + match.slice(value.length);
+			});
+		});
+		return { text: result, found };
+	}
+
+	restore(text) {
+		return String(text).replace(PLACEHOLDER, placeholder => (this.values.has(placeholder) ? this.values.get(placeholder) : placeholder));
+	}
+
+	// For tool arguments: every string in a JSON-like value.
+	restoreDeep(value) {
+		return mapStrings(value, text => this.restore(text));
+	}
+
+	reset() {
+		this.values.clear();
+		this.placeholders.clear();
+		this.counts = {};
+	}
+
+	_placeholder(kind, label, key, value) {
+		const id = `${kind}:${key}`;
+		if (!this.placeholders.has(id)) {
+			this.counts[label] = (this.counts[label] || 0) + 1;
+			const placeholder = `[${label}_${this.counts[label]}]`;
+			this.placeholders.set(id, placeholder);
+			this.values.set(placeholder, value);
+		}
+		return this.placeholders.get(id);
+	}
+}
+
+function mapStrings(value, map) {
+	if (typeof value === 'string') return map(value);
+	if (Array.isArray(value)) return value.map(item => mapStrings(item, map));
+	if (isObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, map)]));
+	return value;
+}
+
+// Releases a streamed reply sentence by sentence once the output rules have
+// passed it, with placeholders restored. `replace` ends the reply with the
+// rule's reply; `drop` leaves the sentence out and adds the rule's reply at
+// the end, once.
+class OutputFilter {
+	constructor(session, { turnId, language }) {
+		this.session = session;
+		this.turnId = turnId;
+		this.language = language;
+		this.buffer = '';
+		this.text = '';
+		this.notes = [];
+		this.blocked = null;
+	}
+
+	push(delta) {
+		if (this.blocked) return '';
+		this.buffer += delta;
+		let released = '';
+		let start = 0;
+		let match;
+		SENTENCE_BOUNDARY.lastIndex = 0;
+		while (!this.blocked && (match = SENTENCE_BOUNDARY.exec(this.buffer)) !== null) {
+			const end = match.index + match[0].length;
+			released += this._check(this.buffer.slice(start, end));
+			start = end;
+		}
+		this.buffer = this.blocked ? '' : this.buffer.slice(start);
+		return released;
+	}
+
+	finish() {
+		let released = '';
+		if (!this.blocked && this.buffer) released += this._check(this.buffer);
+		this.buffer = '';
+		if (!this.blocked && this.notes.length) released += this._release(`${this.text && !/\s$/.test(this.text) ? ' ' : ''}${this.notes.join(' ')}`);
+		this.notes = [];
+		return released;
+	}
+
+	_check(sentence) {
+		const text = this.session.vault.restore(sentence);
+		const rule = this.session.guardrails.output.find(candidate => matches(candidate, text));
+		if (!rule) return this._release(text);
+		this.session.record({ stage: 'output', rule: rule.id, category: rule.category, action: rule.action, turnId: this.turnId, excerpt: excerpt(sentence.trim()) });
+		if (rule.action === 'flag') return this._release(text);
+		const reply = this.session.guardrails.reply(rule.reply, this.language);
+		if (rule.action === 'drop') {
+			if (!this.notes.includes(reply)) this.notes.push(reply);
+			return '';
+		}
+		this.blocked = rule.category;
+		return this._release(`${this.text && !/\s$/.test(this.text) ? ' ' : ''}${reply}`);
+	}
+
+	_release(text) {
+		this.text += text;
+		return text;
+	}
+}
+
+// One conversation's view of the guardrails. `history` is replayed through
+// the vault so placeholders match what the model saw before.
+class GuardSession {
+	constructor(guardrails, { sessionId, history = [], log }) {
+		this.guardrails = guardrails;
+		this.sessionId = sessionId;
+		this.log = log;
+		this.vault = new PiiVault(guardrails.config.redact);
+		history.forEach(msg => this.vault.redact(msg.text));
+	}
+
+	redact(text) {
+		return this.vault.redact(text).text;
+	}
+
+	// Redacts a user turn and runs the input rules. `blocked` carries the
+	// reply to send instead of calling the model.
+	checkInput(text, { turnId, language } = {}) {
+		const { text: redacted, found } = this.vault.redact(text);
+		const counts = {};
+		found.forEach((kind) => {
+			counts[kind] = (counts[kind] || 0) + 1;
+		});
+		Object.entries(counts).forEach(([kind, count]) => {
+			this.record({ stage: 'input', rule: `pii.${kind}`, category: 'pii', action: 'redact', turnId, count });
+		});
+		let blocked = null;
+		this.guardrails.input.forEach((rule) => {
+			if (blocked || !matches(rule, redacted)) return;
+			this.record({ stage: 'input', rule: rule.id, category: rule.category, action: rule.action, turnId, excerpt: excerpt(redacted) });
+			if (rule.action === 'block') blocked = { category: rule.category, reply: this.guardrails.reply(rule.reply, language) };
+		});
+		return { text: redacted, blocked };
+	}
+
+	outputFilter({ turnId, language } = {}) {
+		return new OutputFilter(this, { turnId, language });
+	}
+
+	record(event) {
+		const entry = { at: new Date().toISOString(), sessionId: this.sessionId, ...event };
+		this.log.warn('Guardrail triggered', { stage: entry.stage, rule: entry.rule, category: entry.category, action: entry.action, turnId: entry.turnId });
+		this.guardrails.record(entry);
+	}
+
+	reset() {
+		this.vault.reset();
+	}
+}
+
+// `store` keeps the audit events (see audit-store.js); `onEvent` is called
+// for each one, e.g. to count it.
+class Guardrails {
+	constructor(config, { store, onEvent = () => {}, log = console } = {}) {
+		this.config = config;
+		this.input = config.input.map(compileRule);
+		this.output = config.output.map(compileRule);
+		this.store = store;
+		this.onEvent = onEvent;
+		this.log = log;
+		this.recent = [];
+	}
+
+	get redacts() {
+		return this.config.redact.length > 0;
+	}
+
+	session(options) {
+		return new GuardSession(this, options);
+	}
+
+	reply(key, language) {
+		const replies = this.config.replies[key];
+		return replies[language] || replies.en;
+	}
+
+	record(event) {
+		this.recent.push(event);
+		if (this.recent.length > RECENT_EVENTS) this.recent.shift();
+		this.onEvent(event);
+		if (this.store) this.store.save(event).catch(error => this.log.error('Failed to save guardrail event', { error }));
+	}
+
+	stats() {
+		return { version: this.config.version || null, redact: this.config.redact, inputRules: this.input.length, outputRules: this.output.length };
+	}
+}
+
+module.exports = { Guardrails, PiiVault, validateGuardrailsConfig, readGuardrailsFile, PII_KINDS };
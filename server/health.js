@@ -0,0 +1,73 @@
+const { EventEmitter } = require('events');
+const { classifyError } = require('./providers/http');
+
+// Errors that say the model cannot serve requests right now, as opposed to a
+// problem with one particular request. Rate limits pass on their own.
+const UNHEALTHY_CODES = new Set(['upstream_unavailable', 'timeout', 'network', 'auth_failed']);
+
+// Tracks whether the model provider is reachable, from a periodic probe and
+// from the outcome of real calls. Emits 'change' with the new status.
+class HealthMonitor extends EventEmitter {
+	constructor(provider, { intervalMs = 60000, timeoutMs = 10000, logger = console } = {}) {
+		super();
+		this.provider = provider;
+		this.intervalMs = intervalMs;
+		this.timeoutMs = timeoutMs;
+		this.logger = logger;
+		this.timer = null;
+		this.initialProbe = null;
+		this.current = { healthy: null, checkedAt: null, latencyMs: null, error: null };
+	}
+
+	start() {
+		this.initialProbe = this.probe();
+		if (this.intervalMs > 0) {
+			this.timer = setInterval(() => this.probe(), this.intervalMs);
+			this.timer.unref();
+		}
+		return this.initialProbe;
+	}
+
+	stop() {
+		if (this.timer) clearInterval(this.timer);
+		this.timer = null;
+	}
+
+	// Resolves once the first probe has finished, so new clients get a real answer.
+	ready() {
+		return this.initialProbe || Promise.resolve();
+	}
+
+	status() {
+		return { ...this.current };
+	}
+
+	async probe() {
+		const started = Date.now();
+		try {
+			await this.provider.healthCheck({ signal: AbortSignal.timeout(this.timeoutMs) });
+			this._set(true, null, Date.now() - started);
+		} catch (error) {
+			const classified = classifyError(error, { timedOut: error && error.name === 'TimeoutError' });
+			this.logger.warn('Health probe failed', { provider: this.provider.name, model: this.provider.model, code: classified.code, error: classified.message });
+			this._set(false, classified.code, Date.now() - started);
+		}
+		return this.status();
+	}
+
+	recordSuccess() {
+		if (this.current.healthy !== true) this._set(true, null, this.current.latencyMs);
+	}
+
+	recordFailure(error) {
+		if (UNHEALTHY_CODES.has(error.code)) this._set(false, error.code, this.current.latencyMs);
+	}
+
+	_set(healthy, error, latencyMs) {
+		const changed = this.current.healthy !== healthy || this.current.error !== error;
+		this.current = { healthy, checkedAt: new Date().toISOString(), latencyMs, error };
+		if (changed) this.emit('change', this.status());
+	}
+}
+
+module.exports = { HealthMonitor };
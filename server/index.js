@@ -1,387 +1,2154 @@
 const path = require('path');
 const http = require('http');
+const crypto = require('crypto');
 const express = require('express');
 const compression = require('compression');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const WebSocket = require('ws');
+const { LiveSession, DEFAULT_LIVE_URL } = require('./live');
+const { parseAudioFrame, pcm16FromBuffer, resamplePcm16, TARGET_SAMPLE_RATE } = require('./audio');
+const { VoiceActivityDetector, loadDetector, DEFAULT_VAD_OPTIONS } = require('./vad');
+const { KnowledgeBase } = require('./knowledge');
+const { createToolRegistry } = require('./tools');
+const { createBookingStore } = require('./booking-store');
+const { createSessionSigner, createSessionStore } = require('./sessions');
+const { createProvider, ResilientProvider, ProviderError, classifyError } = require('./providers');
+const { HealthMonitor } = require('./health');
+const { createTtsProvider, SpeechQueue } = require('./tts');
+const { RateLimiter, ConnectionCounter } = require('./limits');
+const { createAccessTokens, loadEmbedSites, createOriginPolicy, normalizeOrigin } = require('./auth');
+const { createLogger } = require('./logger');
+const { Registry } = require('./metrics');
+const { TurnManager } = require('./turns');
+const { normalizeLanguage, detectTextLanguage, repeatPrompt } = require('./languages');
+const { PersonaStore, composePrompt, greetingFor, TENANT_ID } = require('./persona');
+const { ConversationMemory, estimateTokens } = require('./memory');
+const { Guardrails, readGuardrailsFile } = require('./guardrails');
+const { createAuditStore } = require('./audit-store');
+const { LeadService, LeadError, createLeadStore } = require('./leads');
+const { CrmOutbox, createOutboxStore } = require('./crm-outbox');
+const { MediaStreamCall, PHONE_SAMPLE_RATE } = require('./telephony');
+const protocol = require('../shared/protocol');
+
+dotenv.config();
+
+const logger = createLogger({
+	level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+	payloads: process.env.LOG_PAYLOADS === 'true'
+});
 
 let universalFetch = globalThis.fetch;
 if (!universalFetch) {
 	try {
 		universalFetch = (...args) => import('node-fetch').then(({ default: f }) => f(...args));
 	} catch (e) {
-		console.warn('Fetch API not available and node-fetch not installed. API calls may fail.');
+		logger.warn('Fetch API not available and node-fetch not installed. API calls may fail.');
 	}
 }
 
-dotenv.config();
+const AUTH_SECRET = process.env.AUTH_SECRET || '';
+const ACCESS_TOKEN_TTL_MS = envNumber('ACCESS_TOKEN_TTL_SECONDS', 300) * 1000;
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const EMBED_SITES_FILE = path.resolve(process.env.EMBED_SITES_FILE || path.join(__dirname, '..', 'config', 'embed-sites.json'));
+// Site ID for tokens issued to the server's own page and ALLOWED_ORIGINS.
+const FIRST_PARTY_SITE = 'web';
+
+const embedSites = loadEmbedSites(EMBED_SITES_FILE);
+const originPolicy = createOriginPolicy({ allowedOrigins: ALLOWED_ORIGINS, sites: embedSites });
+const accessTokens = createAccessTokens(AUTH_SECRET || crypto.randomBytes(32).toString('hex'), { ttlMs: ACCESS_TOKEN_TTL_MS });
 
 const app = express();
 app.use(compression());
-app.use(cors());
+app.use(cors((req, callback) => {
+	callback(null, { origin: originPolicy.isAllowed(req.get('origin'), req.get('host')) });
+}));
 
 app.use((req, res, next) => {
 	res.setHeader('Permissions-Policy', 'microphone=(self)');
 	next();
 });
-app.use(express.static(path.join(__dirname, '..', 'public')));
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+app.use(express.static(PUBLIC_DIR));
+// The widget validates server messages with the same schemas as the server.
+app.get('/protocol.js', (req, res) => {
+	res.sendFile(path.join(__dirname, '..', 'shared', 'protocol.js'));
+});
 
 const server = http.createServer(app);
 
-const wss = new WebSocket.Server({ server, path: '/ws' });
-
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
 const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.0-flash';
 const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
+const GEMINI_LIVE_URL = process.env.GEMINI_LIVE_URL || DEFAULT_LIVE_URL;
+const USE_LIVE = LLM_PROVIDER === 'gemini' && (process.env.GEMINI_LIVE
+	? process.env.GEMINI_LIVE === 'true'
+	: /live|native-audio/.test(GEMINI_MODEL));
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
+const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+const OPENAI_TRANSCRIPTION_MODEL = process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1';
+const MOCK_FIXTURES = path.resolve(process.env.MOCK_FIXTURES || path.join(__dirname, '..', 'fixtures', 'mock-provider.json'));
+const LLM_FALLBACK_MODEL = process.env.LLM_FALLBACK_MODEL || '';
+const LLM_RETRIES = envNumber('LLM_RETRIES', 2);
+const LLM_RETRY_BASE_MS = envNumber('LLM_RETRY_BASE_MS', 500);
+const LLM_TIMEOUT_MS = envNumber('LLM_TIMEOUT_MS', 30000);
+const LLM_DEADLINE_MS = envNumber('LLM_DEADLINE_MS', 45000);
+const HEALTH_PROBE_INTERVAL_MS = envNumber('HEALTH_PROBE_INTERVAL_MS', 60000);
+const TTS_PROVIDER = (process.env.TTS_PROVIDER || (LLM_PROVIDER === 'mock' ? 'browser' : LLM_PROVIDER)).toLowerCase();
+const TTS_MODEL = process.env.TTS_MODEL || undefined;
+const TTS_VOICE = process.env.TTS_VOICE || undefined;
+// Per-language voices, e.g. "hi=Kore,ta=Puck"; other languages use TTS_VOICE.
+const TTS_VOICES = Object.fromEntries((process.env.TTS_VOICES || '').split(',')
+	.map(entry => entry.split('=').map(part => part.trim()))
+	.filter(([code, voice]) => normalizeLanguage(code) && voice)
+	.map(([code, voice]) => [normalizeLanguage(code), voice]));
+const DEFAULT_LANGUAGE = process.env.DEFAULT_LANGUAGE === 'auto' ? 'auto' : normalizeLanguage(process.env.DEFAULT_LANGUAGE || 'auto') || 'auto';
+const HINGLISH_SCRIPT = protocol.HINGLISH_SCRIPTS.includes(process.env.HINGLISH_SCRIPT) ? process.env.HINGLISH_SCRIPT : 'roman';
+const LIVE_RESPONSE_MODALITY = (process.env.GEMINI_LIVE_MODALITY || 'AUDIO').toUpperCase();
+
+function envNumber(name, fallback) {
+	const value = Number(process.env[name]);
+	return process.env[name] && Number.isFinite(value) ? value : fallback;
+}
+
+const TRANSCRIPT_MIN_CONFIDENCE = envNumber('TRANSCRIPT_MIN_CONFIDENCE', 0.5);
+
+const WS_MAX_PAYLOAD_BYTES = envNumber('WS_MAX_PAYLOAD_BYTES', 64 * 1024);
+const MAX_TEXT_LENGTH = envNumber('MAX_TEXT_LENGTH', 1000);
+const MAX_UTTERANCE_MS = envNumber('MAX_UTTERANCE_MS', 30000);
+const MAX_QUEUED_TURNS = envNumber('MAX_QUEUED_TURNS', 2);
+const MAX_UTTERANCE_BYTES = MAX_UTTERANCE_MS * TARGET_SAMPLE_RATE * 2 / 1000;
+const MAX_MESSAGES_PER_SECOND = envNumber('MAX_MESSAGES_PER_SECOND', 50);
+const MODEL_CALLS_PER_MINUTE = envNumber('MODEL_CALLS_PER_MINUTE', 20);
+const MODEL_CALLS_PER_MINUTE_PER_IP = envNumber('MODEL_CALLS_PER_MINUTE_PER_IP', 60);
+const MAX_CONNECTIONS = envNumber('MAX_CONNECTIONS', 500);
+const MAX_CONNECTIONS_PER_IP = envNumber('MAX_CONNECTIONS_PER_IP', 10);
+const LIMIT_STRIKES_PER_MINUTE = envNumber('LIMIT_STRIKES_PER_MINUTE', 10);
+// Proxies in front of the server that append to X-Forwarded-For; true means one.
+const TRUST_PROXY_HOPS = process.env.TRUST_PROXY === 'true' ? 1 : Math.max(0, Math.floor(envNumber('TRUST_PROXY', 0)));
+
+const VAD_OPTIONS = {
+	energyThreshold: envNumber('VAD_ENERGY_THRESHOLD', DEFAULT_VAD_OPTIONS.energyThreshold),
+	zcrMax: envNumber('VAD_ZCR_MAX', DEFAULT_VAD_OPTIONS.zcrMax),
+	speechProbability: envNumber('VAD_SPEECH_PROBABILITY', DEFAULT_VAD_OPTIONS.speechProbability),
+	startMs: envNumber('VAD_START_MS', DEFAULT_VAD_OPTIONS.startMs),
+	hangoverMs: envNumber('VAD_HANGOVER_MS', DEFAULT_VAD_OPTIONS.hangoverMs),
+	minSpeechMs: envNumber('VAD_MIN_SPEECH_MS', DEFAULT_VAD_OPTIONS.minSpeechMs),
+	prerollMs: envNumber('VAD_PREROLL_MS', DEFAULT_VAD_OPTIONS.prerollMs),
+	maxUtteranceMs: Math.min(envNumber('VAD_MAX_UTTERANCE_MS', DEFAULT_VAD_OPTIONS.maxUtteranceMs), MAX_UTTERANCE_MS)
+};
+const VAD_DETECTOR_MODULE = process.env.VAD_DETECTOR || '';
+const BARGE_IN_GRACE_MS = envNumber('BARGE_IN_GRACE_MS', 600);
+const BARGE_IN_START_MS = envNumber('BARGE_IN_START_MS', 250);
+const BARGE_IN_SENSITIVITY = {
+	low: 3,
+	medium: 2,
+	high: 1.3
+};
+const VAD_CLIENT_LIMITS = {
+	energyThreshold: [50, 5000],
+	hangoverMs: [200, 3000],
+	minSpeechMs: [100, 2000]
+};
+
+const KNOWLEDGE_DIR = path.resolve(process.env.KNOWLEDGE_DIR || path.join(__dirname, '..', 'knowledge'));
+const KNOWLEDGE_TOP_K = envNumber('KNOWLEDGE_TOP_K', 3);
+const PERSONA_FILE = path.resolve(process.env.PERSONA_FILE || path.join(__dirname, '..', 'config', 'persona.json'));
+const PERSONA_RELOAD_MS = envNumber('PERSONA_RELOAD_MS', 2000);
+const GUARDRAILS_FILE = path.resolve(process.env.GUARDRAILS_FILE || path.join(__dirname, '..', 'config', 'guardrails.json'));
+const GUARDRAIL_AUDIT_STORE = process.env.GUARDRAIL_AUDIT_STORE || 'file';
+const GUARDRAIL_AUDIT_PATH = path.resolve(process.env.GUARDRAIL_AUDIT_PATH || path.join(__dirname, '..', 'data', 'guardrail-audit.jsonl'));
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const MAX_TOOL_ROUNDS = envNumber('MAX_TOOL_ROUNDS', 4);
+const BOOKING_STORE = process.env.BOOKING_STORE || 'file';
+const BOOKING_STORE_PATH = path.resolve(process.env.BOOKING_STORE_PATH || path.join(__dirname, '..', 'data', 'bookings.jsonl'));
+// LEAD_STORE=memory keeps the CRM outbox in memory too.
+const LEAD_STORE = process.env.LEAD_STORE || 'file';
+const LEAD_STORE_PATH = path.resolve(process.env.LEAD_STORE_PATH || path.join(__dirname, '..', 'data', 'leads.jsonl'));
+const CRM_OUTBOX_DIR = path.resolve(process.env.CRM_OUTBOX_DIR || path.join(__dirname, '..', 'data', 'crm-outbox'));
+const CRM_WEBHOOK_URL = process.env.CRM_WEBHOOK_URL || '';
+const CRM_WEBHOOK_SECRET = process.env.CRM_WEBHOOK_SECRET || '';
+const CRM_MAX_ATTEMPTS = envNumber('CRM_MAX_ATTEMPTS', 8);
+const CRM_RETRY_BASE_MS = envNumber('CRM_RETRY_BASE_MS', 5000);
+const CRM_RETRY_MAX_MS = envNumber('CRM_RETRY_MAX_MS', 15 * 60 * 1000);
+const CRM_TIMEOUT_MS = envNumber('CRM_TIMEOUT_MS', 10000);
+const CRM_POLL_MS = envNumber('CRM_POLL_MS', 5000);
+const SESSION_SECRET = process.env.SESSION_SECRET || '';
+const SESSION_STORE = process.env.SESSION_STORE || 'file';
+const SESSION_STORE_DIR = path.resolve(process.env.SESSION_STORE_DIR || path.join(__dirname, '..', 'data', 'sessions'));
+const SESSION_TTL_MS = envNumber('SESSION_TTL_MINUTES', 24 * 60) * 60 * 1000;
+const SESSION_REPLAY_MESSAGES = 20;
+const MEMORY_TOKEN_BUDGET = envNumber('MEMORY_TOKEN_BUDGET', 2000);
+const HELLO_TIMEOUT_MS = envNumber('HELLO_TIMEOUT_MS', 10000);
+const TELEPHONY_PATH = process.env.TELEPHONY_PATH || '/telephony';
+const TELEPHONY_TOKEN = process.env.TELEPHONY_TOKEN || '';
+const TELEPHONY_SITE = 'telephony';
+
+// Rejects the upgrade before a socket exists: 403 for a foreign origin, 401
+// for a missing, forged or expired access token.
+function verifyUpgrade({ origin, req }, callback) {
+	const host = req.headers.host;
+	if (origin && !originPolicy.isAllowed(origin, host)) {
+		logger.warn('Rejected WebSocket upgrade', { origin, reason: 'origin' });
+		return callback(false, 403, 'Origin not allowed');
+	}
+	const url = new URL(req.url, 'http://localhost');
+	const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+	const auth = accessTokens.verify(url.searchParams.get('token') || bearer);
+	if (!auth) {
+		logger.info('Rejected WebSocket upgrade', { origin, reason: 'token' });
+		return callback(false, 401, 'Unauthorized', { 'WWW-Authenticate': 'Bearer' });
+	}
+	if (auth.origin && auth.origin !== normalizeOrigin(origin)) {
+		logger.warn('Rejected WebSocket upgrade', { origin, reason: 'token_origin', siteId: auth.siteId });
+		return callback(false, 403, 'Token was issued to another origin');
+	}
+	req.auth = auth;
+	callback(true);
+}
 
-if (!GOOGLE_API_KEY) {
-	console.error('Missing GOOGLE_API_KEY in environment');
-	console.error('Please add your API key to .env file');
+function telephonyTokenMatches(token) {
+	const expected = Buffer.from(TELEPHONY_TOKEN);
+	const provided = Buffer.from(token || '');
+	return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+// Phone providers cannot fetch access tokens, so calls use the shared
+// TELEPHONY_TOKEN: in the URL or Authorization header, or, for providers that
+// drop query strings, as the `token` custom parameter of the start event
+// (req.telephonyAuthorized stays false until then). With no TELEPHONY_TOKEN
+// only local connections are accepted, like the admin routes.
+function verifyTelephonyUpgrade({ req }, callback) {
+	if (!TELEPHONY_TOKEN) {
+		if (isLoopback(req.socket.remoteAddress)) {
+			req.telephonyAuthorized = true;
+			return callback(true);
+		}
+		logger.warn('Rejected telephony upgrade', { reason: 'no_token_configured' });
+		return callback(false, 401, 'Telephony needs TELEPHONY_TOKEN when accessed remotely');
+	}
+	const url = new URL(req.url, 'http://localhost');
+	const token = url.searchParams.get('token') || (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+	if (token && !telephonyTokenMatches(token)) {
+		logger.info('Rejected telephony upgrade', { reason: 'token' });
+		return callback(false, 401, 'Unauthorized', { 'WWW-Authenticate': 'Bearer' });
+	}
+	req.telephonyAuthorized = !!token;
+	callback(true);
+}
+
+const wss = new WebSocket.Server({ noServer: true, maxPayload: WS_MAX_PAYLOAD_BYTES, verifyClient: verifyUpgrade });
+const telephonyWss = new WebSocket.Server({ noServer: true, maxPayload: WS_MAX_PAYLOAD_BYTES, verifyClient: verifyTelephonyUpgrade });
+
+server.on('upgrade', (req, socket, head) => {
+	const { pathname } = new URL(req.url, 'http://localhost');
+	const target = pathname === '/ws' ? wss : pathname === TELEPHONY_PATH ? telephonyWss : null;
+	if (!target) {
+		socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+		return;
+	}
+	target.handleUpgrade(req, socket, head, ws => target.emit('connection', ws, req));
+});
+
+function providerOptions(model) {
+	return {
+		gemini: { apiKey: GOOGLE_API_KEY, model: model || GEMINI_MODEL, fetch: universalFetch },
+		openai: {
+			apiKey: OPENAI_API_KEY,
+			model: model || OPENAI_MODEL,
+			transcriptionModel: OPENAI_TRANSCRIPTION_MODEL,
+			baseUrl: OPENAI_BASE_URL,
+			fetch: universalFetch
+		},
+		mock: { fixturesPath: MOCK_FIXTURES, model }
+	};
+}
+
+const primaryProvider = createProvider(LLM_PROVIDER, providerOptions());
+const health = new HealthMonitor(primaryProvider, { intervalMs: HEALTH_PROBE_INTERVAL_MS, logger });
+const provider = new ResilientProvider(primaryProvider, {
+	fallback: LLM_FALLBACK_MODEL ? createProvider(LLM_PROVIDER, providerOptions(LLM_FALLBACK_MODEL)) : null,
+	retries: LLM_RETRIES,
+	baseDelayMs: LLM_RETRY_BASE_MS,
+	timeoutMs: LLM_TIMEOUT_MS,
+	deadlineMs: LLM_DEADLINE_MS,
+	onSuccess: (target) => {
+		if (target === primaryProvider) health.recordSuccess();
+	},
+	onFailure: (error, target) => {
+		if (target === primaryProvider) health.recordFailure(error);
+	},
+	logger
+});
+const tts = createTtsProvider(TTS_PROVIDER, {
+	gemini: { apiKey: GOOGLE_API_KEY, model: TTS_MODEL, voice: TTS_VOICE, voices: TTS_VOICES, fetch: universalFetch },
+	openai: { apiKey: OPENAI_API_KEY, model: TTS_MODEL, voice: TTS_VOICE, voices: TTS_VOICES, baseUrl: OPENAI_BASE_URL, fetch: universalFetch }
+});
+// Which side speaks replies: Live native audio, a server TTS provider, or the browser.
+const SPEECH_SOURCE = USE_LIVE ? (LIVE_RESPONSE_MODALITY === 'AUDIO' ? 'live' : null) : (tts ? tts.name : null);
+if (!provider.configured) {
+	logger.error('Missing API key for the LLM provider; add it to the .env file', { provider: provider.name });
 }
 
 const activeConversations = new Map();
+const knowledgeBase = new KnowledgeBase(KNOWLEDGE_DIR);
+const personaStore = new PersonaStore(PERSONA_FILE);
+personaStore.load();
+personaStore.on('reload', personaReloaded);
+personaStore.on('invalid', error => logger.error('Persona config reload failed, keeping previous version', { error }));
+if (PERSONA_RELOAD_MS > 0) personaStore.watch(PERSONA_RELOAD_MS);
+const guardrailAudit = createAuditStore({ type: GUARDRAIL_AUDIT_STORE, filePath: GUARDRAIL_AUDIT_PATH });
+const guardrails = new Guardrails(readGuardrailsFile(GUARDRAILS_FILE), {
+	store: guardrailAudit,
+	onEvent: event => guardrailEventsMetric.inc({ stage: event.stage, category: event.category, action: event.action }),
+	log: logger
+});
+const bookingStore = createBookingStore({ type: BOOKING_STORE, filePath: BOOKING_STORE_PATH });
+const crmOutbox = new CrmOutbox({
+	store: createOutboxStore({ type: LEAD_STORE, dir: CRM_OUTBOX_DIR }),
+	url: CRM_WEBHOOK_URL,
+	secret: CRM_WEBHOOK_SECRET,
+	fetch: universalFetch,
+	maxAttempts: CRM_MAX_ATTEMPTS,
+	retryBaseMs: CRM_RETRY_BASE_MS,
+	retryMaxMs: CRM_RETRY_MAX_MS,
+	timeoutMs: CRM_TIMEOUT_MS,
+	log: logger
+});
+['delivered', 'retry', 'dead'].forEach(outcome => crmOutbox.on(outcome, () => crmDeliveriesMetric.inc({ outcome })));
+const leadService = new LeadService({
+	store: createLeadStore({ type: LEAD_STORE, filePath: LEAD_STORE_PATH }),
+	outbox: crmOutbox,
+	models: modelNames,
+	onCapture: (lead) => {
+		leadsMetric.inc({ source: lead.source });
+		logger.info('Lead captured', { leadId: lead.id, source: lead.source, sessionId: lead.sessionId });
+	}
+});
+const toolRegistry = createToolRegistry({ knowledgeBase, bookingStore, leads: leadService });
+const sessionSigner = createSessionSigner(SESSION_SECRET || crypto.randomBytes(32).toString('hex'));
+const sessionStore = createSessionStore({ type: SESSION_STORE, dir: SESSION_STORE_DIR });
+
+const messageLimiter = new RateLimiter({ limit: MAX_MESSAGES_PER_SECOND, windowMs: 1000 });
+const sessionCallLimiter = new RateLimiter({ limit: MODEL_CALLS_PER_MINUTE, windowMs: 60 * 1000 });
+const ipCallLimiter = new RateLimiter({ limit: MODEL_CALLS_PER_MINUTE_PER_IP, windowMs: 60 * 1000 });
+const strikeLimiter = new RateLimiter({ limit: LIMIT_STRIKES_PER_MINUTE, windowMs: 60 * 1000 });
+const connectionCounter = new ConnectionCounter({ max: MAX_CONNECTIONS, maxPerKey: MAX_CONNECTIONS_PER_IP });
 
-async function callGeminiAPI(prompt, conversationHistory = [], { abortController, uiLanguage } = {}) {
+const metrics = new Registry();
+metrics.gauge({
+	name: 'rev_ws_sessions_active',
+	help: 'Open sessions by channel (widget or phone)',
+	collect: () => {
+		const counts = { widget: 0, phone: 0 };
+		activeConversations.forEach((conversation) => { counts[conversation.channel] += 1; });
+		return Object.entries(counts).map(([channel, value]) => ({ labels: { channel }, value }));
+	}
+});
+const connectionsMetric = metrics.counter({ name: 'rev_ws_connections_total', help: 'Accepted WebSocket connections' });
+const turnsMetric = metrics.counter({ name: 'rev_turns_total', help: 'Conversation turns by mode (voice or text)' });
+const transcriptionSeconds = metrics.histogram({ name: 'rev_transcription_duration_seconds', help: 'Time to transcribe a voice turn' });
+const generationSeconds = metrics.histogram({ name: 'rev_generation_duration_seconds', help: 'Time to generate a complete reply, tool calls included' });
+const upstreamErrorsMetric = metrics.counter({ name: 'rev_upstream_errors_total', help: 'Failed model calls by operation and error code, after retries' });
+const interruptsMetric = metrics.counter({ name: 'rev_interrupts_total', help: 'Replies cut short, by kind (manual or barge_in)' });
+const tokensMetric = metrics.counter({ name: 'rev_tokens_total', help: 'Tokens reported by the model, by operation and type (prompt or output)' });
+const audioSecondsMetric = metrics.counter({ name: 'rev_audio_input_seconds_total', help: 'Seconds of user audio processed' });
+const guardrailEventsMetric = metrics.counter({ name: 'rev_guardrail_events_total', help: 'Guardrail hits by stage, category and action' });
+const leadsMetric = metrics.counter({ name: 'rev_leads_total', help: 'Leads captured, by source (conversation or form)' });
+const callsMetric = metrics.counter({ name: 'rev_telephony_calls_total', help: 'Phone calls started on the telephony media stream' });
+const crmDeliveriesMetric = metrics.counter({ name: 'rev_crm_deliveries_total', help: 'CRM webhook delivery attempts by outcome (delivered, retry or dead)' });
+metrics.gauge({
+	name: 'rev_crm_outbox_entries',
+	help: 'Leads in the CRM outbox that are not delivered, by status (pending or dead)',
+	collect: () => ['pending', 'dead'].map(status => ({ labels: { status }, value: crmOutbox.counts[status] }))
+});
+const startedAt = Date.now();
+
+function recordUsage(usage, operation) {
+	if (!usage) return;
+	tokensMetric.inc({ provider: provider.name, operation, type: 'prompt' }, usage.promptTokens);
+	tokensMetric.inc({ provider: provider.name, operation, type: 'output' }, usage.outputTokens);
+}
+
+const SUMMARY_PROMPT = 'You keep the running summary of a conversation between a user and Rev, the Revolt Motors assistant. Update the summary with the new messages. Keep what the user shared and decided (bikes they are considering or comparing, city, budget, test rides or bookings) and any open questions; drop greetings and small talk. Reply with the summary only, in English plain text, at most 120 words.';
+
+// Exact counts where the provider can count tokens, otherwise an estimate.
+async function countTokens(text, log) {
+	if (!provider.countsTokens) return estimateTokens(text);
 	try {
-		console.log('Calling Gemini API with prompt:', prompt);
-		console.log('Conversation history length:', conversationHistory.length);
-		const contents = [];
-		const systemInstruction = {
-			parts: [
-				{
-					text: `You are Rev, an assistant that only talks about Revolt Motors. Politely refuse unrelated questions and bring the conversation back to Revolt bikes, pricing, range, charging, servicing, test rides, locations, financing, and ownership. Keep responses concise and conversational.${uiLanguage ? " Respond in " + uiLanguage + "." : ''}`
-				}
-			]
-		};
-
-		const recentHistory = conversationHistory.slice(-10);
-		recentHistory.forEach(msg => {
-			contents.push({
-				parts: [{ text: msg.text }],
-				role: msg.role
-			});
+		return (await provider.countTokens({ messages: [{ role: 'user', text }], log })).tokens;
+	} catch (error) {
+		log.warn('Token count failed, estimating instead', { code: error.code });
+		return estimateTokens(text);
+	}
+}
+
+async function summarizeHistory(summary, messages, log) {
+	const transcript = messages.map(msg => `${msg.role === 'model' ? 'Rev' : 'User'}: ${msg.text}`).join('\n');
+	const { text } = await provider.generate({
+		system: SUMMARY_PROMPT,
+		messages: [{ role: 'user', text: `${summary ? `Summary so far:\n${summary}\n\n` : ''}New messages:\n${transcript}` }],
+		log
+	});
+	log.payload('Conversation summary', { text });
+	return text.trim();
+}
+
+function modelNames() {
+	return knowledgeBase.documents.filter(doc => doc.model).map(doc => doc.model.name);
+}
+
+// With a guard, what reaches the model for counting and summarizing is redacted.
+function createMemory(state, log, guard = null) {
+	const redact = text => (guard ? guard.redact(text) : text);
+	return new ConversationMemory({
+		budget: MEMORY_TOKEN_BUDGET,
+		countTokens: text => countTokens(redact(text), log),
+		summarize: (summary, messages) => summarizeHistory(summary, messages.map(msg => ({ role: msg.role, text: redact(msg.text) })), log),
+		vocabulary: () => ({
+			models: modelNames(),
+			cities: [...new Set(knowledgeBase.documents.filter(doc => doc.dealer).map(doc => doc.dealer.city))]
+		}),
+		state: state || {},
+		log
+	});
+}
+
+setInterval(() => {
+	sessionStore.prune().catch(error => logger.error('Session prune failed', { error }));
+}, 10 * 60 * 1000).unref();
+
+setInterval(() => {
+	[messageLimiter, sessionCallLimiter, ipCallLimiter, strikeLimiter].forEach(limiter => limiter.prune());
+}, 60 * 1000).unref();
+
+function isLoopback(address) {
+	return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+// With ADMIN_TOKEN unset, admin routes are only reachable from the host itself.
+function requireAdmin(req, res, next) {
+	if (!ADMIN_TOKEN) {
+		if (isLoopback(req.socket.remoteAddress)) return next();
+		return res.status(401).json({ error: 'Admin routes need ADMIN_TOKEN when accessed remotely' });
+	}
+	const expected = Buffer.from(`Bearer ${ADMIN_TOKEN}`);
+	const provided = Buffer.from(req.get('authorization') || '');
+	if (provided.length === expected.length && crypto.timingSafeEqual(provided, expected)) return next();
+	res.status(401).json({ error: 'Unauthorized' });
+}
+
+// Exchanges a site's bootstrap key (or the server's own page origin) for a
+// short-lived access token for /ws.
+app.post('/api/session', express.json({ limit: '4kb' }), (req, res) => {
+	const origin = req.get('origin');
+	const siteKey = (req.body && req.body.siteKey) || req.get('x-site-key');
+	let siteId;
+	if (siteKey) {
+		const site = originPolicy.findSite(siteKey);
+		if (!site) return res.status(401).json({ error: 'Unknown site key' });
+		if (origin && !originPolicy.siteAllowsOrigin(site, origin)) {
+			return res.status(403).json({ error: 'Origin not allowed for this site' });
+		}
+		siteId = site.id;
+	} else if (origin && originPolicy.isAllowed(origin, req.get('host'))) {
+		siteId = FIRST_PARTY_SITE;
+	} else if (origin) {
+		return res.status(403).json({ error: 'Origin not allowed' });
+	} else {
+		return res.status(401).json({ error: 'A site key is required' });
+	}
+	const { token, expiresAt } = accessTokens.issue({ siteId, origin });
+	res.json({ token, expiresAt, siteId });
+});
+
+app.get('/api/health', (req, res) => {
+	const status = health.status();
+	res.status(status.healthy === false ? 503 : 200).json({
+		status: status.healthy === false ? 'unavailable' : 'ok',
+		provider: provider.name,
+		model: provider.model,
+		...status
+	});
+});
+
+app.get('/metrics', requireAdmin, (req, res) => {
+	res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Data for the /admin dashboard: live sessions plus the metrics as JSON.
+app.get('/api/admin/overview', requireAdmin, (req, res) => {
+	const sessions = [...activeConversations.values()].map(conversation => ({
+		sessionId: conversation.id.slice(0, 8),
+		channel: conversation.channel,
+		connectionId: conversation.connectionId,
+		siteId: conversation.siteId,
+		dealerId: conversation.dealerId,
+		tenantId: conversation.tenantId,
+		language: conversation.language,
+		mode: conversation.mode,
+		live: !!conversation.live,
+		turns: conversation.turnCount,
+		messages: conversation.conversationHistory.length,
+		state: conversation.turns.state,
+		connectedAt: conversation.connectedAt,
+		lastActivityAt: conversation.lastActivityAt
+	}));
+	res.json({
+		uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+		provider: provider.name,
+		model: provider.model,
+		health: health.status(),
+		knowledgeVersion: knowledgeBase.version,
+		sessions,
+		guardrailEvents: guardrails.recent.slice(-20).reverse(),
+		crm: { configured: crmOutbox.configured, ...crmOutbox.counts },
+		metrics: metrics.toJSON()
+	});
+});
+
+// A session's memory (summary, pinned slots, what the next prompt would
+// include), by connection ID or full session ID; stored sessions too.
+app.get('/api/admin/sessions/:id/memory', requireAdmin, async (req, res) => {
+	const id = req.params.id;
+	const conversation = [...activeConversations.values()].find(c => c.connectionId === id || c.id === id);
+	if (conversation) {
+		return res.json({ sessionId: conversation.id, active: true, ...conversation.memory.inspect(conversation.conversationHistory) });
+	}
+	const stored = /^[0-9a-f-]{36}$/i.test(id) ? await sessionStore.get(id).catch(() => null) : null;
+	if (!stored) return res.status(404).json({ error: 'Unknown session' });
+	res.json({ sessionId: id, active: false, ...createMemory(stored.memory, logger).inspect(stored.history || []) });
+});
+
+// Guardrail audit events, newest first, with counts per rule. Filters:
+// category, rule, sessionId, since (ISO time) and limit.
+app.get('/api/admin/guardrails', requireAdmin, async (req, res) => {
+	const { category, rule, sessionId, since } = req.query;
+	const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+	try {
+		const events = (await guardrailAudit.list()).filter(event => (!category || event.category === category)
+			&& (!rule || event.rule === rule)
+			&& (!sessionId || event.sessionId === sessionId)
+			&& (!since || event.at >= since));
+		const counts = {};
+		events.forEach((event) => {
+			counts[event.rule] = (counts[event.rule] || 0) + 1;
 		});
-		contents.push({
-			parts: [{ text: prompt }],
-			role: 'user'
+		res.json({ ...guardrails.stats(), total: events.length, counts, events: events.slice(-limit).reverse() });
+	} catch (error) {
+		logger.error('Failed to read guardrail events', { error });
+		res.status(500).json({ error: 'Could not read guardrail events' });
+	}
+});
+
+const LEAD_COLUMNS = ['id', 'createdAt', 'name', 'phone', 'city', 'model', 'source', 'consentMethod', 'consentAt', 'consentText', 'siteId', 'dealerId', 'tenantId', 'language', 'sessionId', 'crmStatus', 'crmAttempts', 'crmDeliveredAt', 'crmLastError'];
+
+// Quoted where needed; values a spreadsheet would run as formulas get a
+// leading apostrophe.
+function csvField(value) {
+	let text = value === null || value === undefined ? '' : String(value);
+	if (/^[=+\-@]/.test(text)) text = `'${text}`;
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Leads with their CRM delivery status, oldest first, as JSON or with
+// format=csv as a download. Filters: source and since (ISO time).
+app.get('/admin/leads', requireAdmin, async (req, res) => {
+	const { source, since } = req.query;
+	let leads;
+	let deliveries;
+	try {
+		[leads, deliveries] = await Promise.all([leadService.list(), crmOutbox.list()]);
+	} catch (error) {
+		logger.error('Failed to read leads', { error });
+		return res.status(500).json({ error: 'Could not read leads' });
+	}
+	const byLead = new Map(deliveries.map(entry => [entry.leadId, entry]));
+	const rows = leads
+		.filter(lead => (!source || lead.source === source) && (!since || lead.createdAt >= since))
+		.map((lead) => {
+			const delivery = byLead.get(lead.id);
+			return {
+				...lead,
+				crm: delivery
+					? { deliveryId: delivery.id, status: delivery.status, attempts: delivery.attempts, deliveredAt: delivery.deliveredAt, lastError: delivery.lastError }
+					: null
+			};
 		});
+	if (req.query.format !== 'csv') return res.json({ total: rows.length, leads: rows });
 
-		const requestBody = { system_instruction: systemInstruction, contents };
-		console.log('Request body:', JSON.stringify(requestBody, null, 2));
+	const lines = rows.map(lead => [
+		lead.id, lead.createdAt, lead.name, lead.phone, lead.city, lead.model, lead.source,
+		lead.consent.method, lead.consent.at, lead.consent.text,
+		lead.siteId, lead.dealerId, lead.tenantId, lead.language, lead.sessionId,
+		lead.crm && lead.crm.status, lead.crm && lead.crm.attempts, lead.crm && lead.crm.deliveredAt, lead.crm && lead.crm.lastError
+	].map(csvField).join(','));
+	res.type('text/csv; charset=utf-8');
+	res.attachment(`leads-${new Date().toISOString().slice(0, 10)}.csv`);
+	res.send([LEAD_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n');
+});
 
-		const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${GOOGLE_API_KEY}`;
-		console.log('Calling API URL:', apiUrl);
+// CRM outbox entries, newest first, without the lead itself. Filter: status.
+app.get('/api/admin/outbox', requireAdmin, async (req, res) => {
+	const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+	try {
+		const entries = (await crmOutbox.list())
+			.filter(entry => !req.query.status || entry.status === req.query.status)
+			.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+		res.json({
+			configured: crmOutbox.configured,
+			counts: crmOutbox.counts,
+			total: entries.length,
+			entries: entries.slice(0, limit).map(({ payload, ...entry }) => entry)
+		});
+	} catch (error) {
+		logger.error('Failed to read the CRM outbox', { error });
+		res.status(500).json({ error: 'Could not read the CRM outbox' });
+	}
+});
 
-		const response = await (universalFetch || fetch)(apiUrl, {
-			method: 'POST',
-			headers: {
-				'Content-Type': 'application/json',
-			},
-			body: JSON.stringify(requestBody),
-			signal: abortController?.signal
+// Sends a dead-lettered entry again, with a fresh set of attempts.
+app.post('/api/admin/outbox/:id/retry', requireAdmin, async (req, res) => {
+	try {
+		const { entry, requeued } = await crmOutbox.retry(req.params.id);
+		if (!entry) return res.status(404).json({ error: 'Unknown delivery' });
+		if (!requeued) return res.status(409).json({ error: `Only dead deliveries can be retried; this one is ${entry.status}` });
+		const { payload, ...summary } = entry;
+		res.json(summary);
+	} catch (error) {
+		logger.error('Failed to retry CRM delivery', { error });
+		res.status(500).json({ error: 'Could not retry the delivery' });
+	}
+});
+
+// The page itself holds no data; it calls /api/admin/overview with the token.
+app.get('/admin', (req, res) => {
+	res.sendFile(path.join(PUBLIC_DIR, 'admin.html'));
+});
+
+app.get('/api/knowledge', (req, res) => {
+	res.json(knowledgeBase.stats());
+});
+
+app.post('/api/knowledge/reload', requireAdmin, async (req, res) => {
+	try {
+		const stats = await knowledgeBase.load();
+		logger.info('Knowledge base reloaded', { version: stats.version, documents: stats.documents });
+		res.json(stats);
+	} catch (error) {
+		logger.error('Knowledge base reload failed, keeping previous version', { error });
+		res.status(500).json({ error: error.message, current: knowledgeBase.stats() });
+	}
+});
+
+app.get('/api/persona', requireAdmin, (req, res) => {
+	res.json(personaStore.stats());
+});
+
+app.post('/api/persona/reload', requireAdmin, (req, res) => {
+	try {
+		const stats = personaStore.load();
+		personaReloaded(stats);
+		res.json(stats);
+	} catch (error) {
+		logger.error('Persona config reload failed, keeping previous version', { error });
+		res.status(500).json({ error: error.message, current: personaStore.stats() });
+	}
+});
+
+function formatKnowledge(passages) {
+	return passages.map((doc, i) => `[${i + 1}] ${doc.title}: ${doc.text}`).join('\n');
+}
+
+function buildCitations(passages, responseText) {
+	const cited = new Set([...String(responseText).matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+	return passages.map((doc, i) => ({
+		index: i + 1,
+		id: doc.id,
+		title: doc.title,
+		source: doc.source,
+		cited: cited.has(i + 1)
+	}));
+}
+
+// Widgets embedded on a dealer's site pass that dealer's id, so Rev can
+// suggest it first.
+function dealerNote(dealerId) {
+	if (!dealerId) return '';
+	const doc = knowledgeBase.documents.find(d => d.dealer && d.dealer.id === dealerId);
+	if (!doc) return '';
+	return ` The user is on the website of ${doc.title} (dealer id ${doc.dealer.id}, ${doc.dealer.city}); suggest this dealer first for test rides and visits unless they ask for another location.`;
+}
+
+// Read on every turn, so persona config reloads apply to the next one.
+function personaFor(conversation) {
+	return personaStore.forTenant(conversation.tenantId);
+}
+
+// Live sessions hold their prompt, so they are reopened with the new one.
+function personaReloaded(stats) {
+	logger.info('Persona config reloaded', stats);
+	activeConversations.forEach((conversation) => {
+		reconfigureLive(conversation);
+	});
+}
+
+// Live has no per-turn prompt, so in auto mode the model picks the language.
+function revSystemPrompt(conversation) {
+	return composePrompt(personaFor(conversation), {
+		language: conversation.language === 'auto' ? null : conversation.language,
+		hinglishScript: conversation.hinglishScript,
+		context: `${dealerNote(conversation.dealerId)}${conversation.memory.note()}`,
+		withPrivacy: guardrails.redacts
+	});
+}
+
+async function generateReply(prompt, conversationHistory = [], {
+	abortController,
+	persona = personaStore.forTenant(null),
+	language = null,
+	hinglishScript = HINGLISH_SCRIPT,
+	dealerId,
+	memory = '',
+	guard = null,
+	onDelta,
+	knowledge = [],
+	tools,
+	toolContext,
+	onToolCall,
+	onToolResult,
+	log = logger
+} = {}) {
+	const started = Date.now();
+	try {
+		log.info('Calling model', { provider: provider.name, model: provider.model, historyLength: conversationHistory.length, knowledge: knowledge.map(doc => doc.id) });
+		log.payload('Prompt', { prompt });
+		const system = composePrompt(persona, {
+			language,
+			hinglishScript,
+			context: `${dealerNote(dealerId)}${memory}`,
+			notes: formatKnowledge(knowledge),
+			withTools: !!tools,
+			withPrivacy: !!guard && guardrails.redacts,
+			today: new Date().toISOString().slice(0, 10)
 		});
+		// The prompt comes redacted; history is redacted here, so personal
+		// details only appear as placeholders.
+		const redact = text => (guard ? guard.redact(text) : text);
+		const messages = conversationHistory.map(msg => ({ role: msg.role, text: redact(msg.text) }));
+		messages.push({ role: 'user', text: prompt });
 
-		console.log('Response status:', response.status);
-		console.log('Response headers:', response.headers);
+		let responseText = '';
+		for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+			const toolCalls = [];
+			let roundText = '';
+			for await (const event of provider.stream({
+				system,
+				messages,
+				tools: tools ? tools.declarations() : [],
+				signal: abortController?.signal,
+				log
+			})) {
+				if (event.type === 'tool_call') {
+					toolCalls.push(event);
+					continue;
+				}
+				if (event.type === 'usage') {
+					recordUsage(event, 'generate');
+					continue;
+				}
+				roundText += event.text;
+				responseText += event.text;
+				if (onDelta) onDelta(event.text);
+			}
+
+			if (toolCalls.length === 0) break;
+			if (round === MAX_TOOL_ROUNDS) {
+				throw new ProviderError('Too many tool calls without a final answer', { code: 'tool_limit' });
+			}
 
-		if (!response.ok) {
-			const errorText = await response.text();
-			console.error('API Error Response:', errorText);
-			throw new Error(`HTTP error! status: ${response.status}, body: ${errorText}`);
+			messages.push({ role: 'model', text: roundText, toolCalls });
+			const results = [];
+			for (const call of toolCalls) {
+				const args = guard ? guard.vault.restoreDeep(call.args || {}) : call.args || {};
+				log.info('Tool call', { tool: call.name });
+				log.payload('Tool arguments', { tool: call.name, args: call.args });
+				if (onToolCall) onToolCall({ id: call.id, name: call.name, args });
+				const result = await tools.execute(call.name, args, toolContext);
+				if (abortController?.signal.aborted) return null;
+				if (onToolResult) onToolResult({ id: call.id, name: call.name, result });
+				results.push({ id: call.id, name: call.name, result });
+			}
+			messages.push({ role: 'tool', results });
 		}
 
-		const data = await response.json();
-		console.log('API Response data:', JSON.stringify(data, null, 2));
+		if (!responseText) {
+			throw new ProviderError('The model returned an empty reply', { code: 'empty_response' });
+		}
+		generationSeconds.observe({ provider: provider.name }, (Date.now() - started) / 1000);
+		log.info('Model replied', { chars: responseText.length, durationMs: Date.now() - started });
+		log.payload('Reply', { text: responseText });
+		return responseText;
+	} catch (error) {
+		if (abortController?.signal.aborted) {
+			log.info('Model call aborted', { durationMs: Date.now() - started });
+			return null;
+		}
+		const classified = classifyError(error);
+		upstreamErrorsMetric.inc({ operation: 'generate', code: classified.code });
+		log.error('Model call failed', { provider: provider.name, code: classified.code, status: classified.status, error: classified.message, durationMs: Date.now() - started });
+		throw classified;
+	}
+}
+
+const ERROR_MESSAGES = {
+	rate_limited: 'Rev is handling a lot of requests right now. Please try again in a few seconds.',
+	upstream_unavailable: 'The AI service is temporarily unavailable. Please try again shortly.',
+	timeout: 'The AI service took too long to respond. Please try again.',
+	network: 'Could not reach the AI service. Please try again shortly.',
+	auth_failed: 'The server could not authenticate with the AI service.',
+	safety_blocked: "Sorry, I can't help with that. Let's talk about Revolt bikes instead."
+};
+
+// Structured error event for a failed model call; never stored in history or spoken.
+function sendError(clientWs, error, turnId) {
+	const classified = classifyError(error);
+	sendToClient(clientWs, {
+		type: 'error',
+		code: classified.code,
+		message: ERROR_MESSAGES[classified.code] || 'Something went wrong while generating a reply. Please try again.',
+		retryable: classified.retryable,
+		...(turnId ? { turnId } : {})
+	});
+}
 
-		if (!data.candidates || !data.candidates[0] || !data.candidates[0].content || !data.candidates[0].content.parts || !data.candidates[0].content.parts[0]) {
-			console.error('Unexpected API response structure:', data);
-			throw new Error('Invalid API response structure');
+const LIMIT_MESSAGES = {
+	messages: 'You are sending messages too quickly.',
+	model_calls: "You've asked a lot of questions in a short time. Please wait a moment and try again.",
+	text_length: `Messages can be at most ${MAX_TEXT_LENGTH} characters.`,
+	utterance: `Recordings are limited to ${MAX_UTTERANCE_MS / 1000} seconds; the rest was not heard.`,
+	connections: 'Too many open connections. Please close other tabs and try again.'
+};
+
+// Recorded as consent for form leads from clients that do not send the
+// wording they showed.
+const LEAD_FORM_CONSENT = 'I agree to be contacted by Revolt Motors or a Revolt dealer about a test ride.';
+
+const PROTOCOL_ERRORS = {
+	invalid_message: 'The server could not understand that message.',
+	unknown_type: 'The server does not know that message type.',
+	handshake_required: 'Send hello before any other message.',
+	unexpected_message: 'That message is not expected at this point.'
+};
+
+// Entries left of the ones our own proxies appended come from the client and
+// cannot be trusted.
+function clientAddress(req) {
+	const forwarded = TRUST_PROXY_HOPS && req.headers['x-forwarded-for'];
+	if (!forwarded) return req.socket.remoteAddress;
+	const hops = forwarded.split(',').map(entry => entry.trim()).filter(Boolean);
+	return hops[Math.max(0, hops.length - TRUST_PROXY_HOPS)] || req.socket.remoteAddress;
+}
+
+// Closes connections that keep hitting limits or sending bad messages.
+function addStrike(clientWs, strikeKey, reason) {
+	if (!strikeLimiter.hit(strikeKey).allowed && clientWs.readyState === WebSocket.OPEN) {
+		logger.warn('Closing connection after repeated limit violations', { sessionId: strikeKey, reason });
+		clientWs.close(1008, 'Too many limit violations');
+	}
+}
+
+// Tells the client which limit it hit (code rate_limited or limit_exceeded).
+function rejectMessage(clientWs, strikeKey, code, limit, retryAfterMs) {
+	const payload = { type: 'error', code, limit, message: LIMIT_MESSAGES[limit], retryable: code === 'rate_limited' };
+	if (retryAfterMs) payload.retryAfterMs = Math.ceil(retryAfterMs);
+	sendToClient(clientWs, payload);
+	addStrike(clientWs, strikeKey, limit);
+}
+
+// Protocol violations: `errors` lists the offending fields and `replyTo` the
+// message type, when there was one.
+function rejectInvalid(clientWs, strikeKey, code, errors, replyTo) {
+	const payload = { type: 'error', code, message: PROTOCOL_ERRORS[code], retryable: false, errors };
+	if (replyTo) payload.replyTo = replyTo;
+	sendToClient(clientWs, payload);
+	addStrike(clientWs, strikeKey, code);
+}
+
+// Every model call (voice or text turn) counts against the session and its IP.
+function allowModelCall(clientWs, conversation) {
+	for (const [limiter, key, scope] of [[sessionCallLimiter, conversation.id, 'session'], [ipCallLimiter, conversation.ip, 'ip']]) {
+		const { allowed, retryAfterMs } = limiter.hit(key);
+		if (!allowed) {
+			conversation.log.warn('Model call limit reached', { scope });
+			rejectMessage(clientWs, conversation.id, 'rate_limited', 'model_calls', retryAfterMs);
+			return false;
 		}
+	}
+	return true;
+}
 
-		const responseText = data.candidates[0].content.parts[0].text;
-		console.log('Extracted response text:', responseText);
-		
-		return responseText;
+// Makes a new turn the active one, cancelling any turn still running. Every
+// message and log entry of a turn carries its `turnId`: the one the client
+// picked for a text message, otherwise `<connectionId>.<n>`.
+function beginTurn(conversation, source, { turnId, phase } = {}) {
+	conversation.turnCount += 1;
+	conversation.turnId = turnId || `${conversation.connectionId}.${conversation.turnCount}`;
+	turnsMetric.inc({ mode: source });
+	conversation.turnLog = conversation.log.child({ turnId: conversation.turnId });
+	conversation.turnLog.info('Turn started', { source, language: conversation.language });
+	const turn = conversation.turns.begin({ id: conversation.turnId, source, phase });
+	turn.log = conversation.turnLog;
+	return turn;
+}
+
+// The language a turn is answered (and voiced) in: the one the user picked,
+// or in auto mode the one they used, if it is supported. Null leaves the
+// choice to the model.
+function replyLanguage(conversation, detected) {
+	return conversation.language === 'auto' ? normalizeLanguage(detected) : conversation.language;
+}
+
+// Phase one of a voice turn: returns { transcript, language, confidence },
+// or null when the turn was aborted.
+async function transcribeAudio(audioInt16, { languageCode, abortController, log = logger } = {}) {
+	try {
+		return await provider.transcribe({ audio: audioInt16, languageCode, signal: abortController?.signal, log });
 	} catch (error) {
-		console.error('Error calling Gemini API:', error);
-		console.error('Error stack:', error.stack);
-		return `Sorry, I encountered an error: ${error.message}. Please try again.`;
-	}
-}
-
-function encodeWavFromPCM16(int16Array, sampleRate = 16000) {
-	const numFrames = int16Array.length;
-	const bytesPerSample = 2;
-	const blockAlign = bytesPerSample * 1;
-	const byteRate = sampleRate * blockAlign;
-	const dataSize = numFrames * bytesPerSample;
-	const buffer = Buffer.alloc(44 + dataSize);
-	let offset = 0;
-
-	buffer.write('RIFF', offset); offset += 4;
-	buffer.writeUInt32LE(36 + dataSize, offset); offset += 4;
-	buffer.write('WAVE', offset); offset += 4;
-	buffer.write('fmt ', offset); offset += 4;
-	buffer.writeUInt32LE(16, offset); offset += 4;
-	buffer.writeUInt16LE(1, offset); offset += 2;
-	buffer.writeUInt16LE(1, offset); offset += 2;
-	buffer.writeUInt32LE(sampleRate, offset); offset += 4;
-	buffer.writeUInt32LE(byteRate, offset); offset += 4;
-	buffer.writeUInt16LE(blockAlign, offset); offset += 2;
-	buffer.writeUInt16LE(16, offset); offset += 2;
-	buffer.write('data', offset); offset += 4;
-	buffer.writeUInt32LE(dataSize, offset); offset += 4;
-
-	for (let i = 0; i < int16Array.length; i++) {
-		buffer.writeInt16LE(int16Array[i], offset);
-		offset += 2;
-	}
-	return buffer;
-}
-
-async function processAudioToText(audioInt16, { conversationHistory = [], languageCode = 'en-IN', abortController } = {}) {
+		if (abortController?.signal.aborted) {
+			return null;
+		}
+		throw error;
+	}
+}
+
+// The reply half of a turn. History only gets the exchange once the reply is
+// complete, so cancelled or failed turns leave no trace in it.
+async function streamReply(clientWs, conversation, turn, prompt) {
+	const { abortController, id: turnId } = turn;
+	const input = conversation.guard.checkInput(prompt, { turnId, language: turn.language });
+	if (input.blocked) {
+		await sendGuardReply(clientWs, conversation, turn, input.blocked);
+		return;
+	}
+	const history = conversation.memory.window(conversation.conversationHistory);
+	const previousUserTurn = history.filter(msg => msg.role === 'user').pop();
+	const knowledge = knowledgeBase
+		.search(`${prompt} ${previousUserTurn ? previousUserTurn.text : ''}`, KNOWLEDGE_TOP_K)
+		.map(result => result.doc);
+	conversation.turns.setPhase(turn, 'thinking');
+	const speech = createSpeechQueue(clientWs, conversation, turn);
+	const output = conversation.guard.outputFilter({ turnId, language: turn.language });
+	const release = (text) => {
+		if (!text || abortController.signal.aborted || clientWs.readyState !== WebSocket.OPEN) return;
+		conversation.turns.setPhase(turn, 'speaking');
+		if (conversation.protocol.capabilities.streaming) {
+			clientWs.send(JSON.stringify({ type: 'ai_response_delta', text, turnId }));
+		}
+		if (speech) speech.push(text);
+	};
+	let aiResponse;
 	try {
-		const wavBuffer = encodeWavFromPCM16(Int16Array.from(audioInt16), 16000);
-		const base64 = wavBuffer.toString('base64');
-
-		const contents = [];
-		const systemInstruction = {
-			parts: [
-				{
-					text: `You are Rev, an assistant that only talks about Revolt Motors. Politely refuse unrelated questions and bring the conversation back to Revolt bikes, pricing, range, charging, servicing, test rides, locations, financing, and ownership. Respond in ${languageCode === 'hinglish' ? 'a mix of Hindi and English (Hinglish)' : languageCode}. Keep responses concise and conversational.`
-				}
-			]
-		};
-
-		const recentHistory = conversationHistory.slice(-10);
-		recentHistory.forEach(msg => {
-			if (!msg || !msg.text) return;
-			const role = msg.role === 'model' ? 'model' : 'user';
-			contents.push({
-				role,
-				parts: [{ text: msg.text }]
-			});
+		aiResponse = await generateReply(input.text, history, {
+			abortController,
+			persona: personaFor(conversation),
+			language: turn.language,
+			hinglishScript: conversation.hinglishScript,
+			dealerId: conversation.dealerId,
+			memory: conversation.memory.note(),
+			guard: conversation.guard,
+			knowledge,
+			tools: toolRegistry,
+			toolContext: toolContext(clientWs, conversation, { log: turn.log, userText: prompt, language: turn.language }),
+			log: turn.log,
+			onToolCall: (call) => {
+				if (abortController.signal.aborted) return;
+				sendToClient(clientWs, { type: 'tool_call', ...call, turnId });
+			},
+			onToolResult: (result) => {
+				if (abortController.signal.aborted) return;
+				sendToClient(clientWs, { type: 'tool_result', ...result, turnId });
+			},
+			onDelta: text => release(output.push(text))
 		});
-		recentHistory.forEach(msg => {
-			if (!msg || !msg.text) return;
-			const role = msg.role === 'model' ? 'model' : 'user';
-			contents.push({
-				role,
-				parts: [{ text: msg.text }]
-			});
+	} catch (error) {
+		if (!abortController.signal.aborted) sendError(clientWs, error, turnId);
+		return;
+	}
+	if (aiResponse !== null) release(output.finish());
+	const spoken = speech && aiResponse !== null ? await speech.finish() : null;
+	if (aiResponse === null || !conversation.turns.isActive(turn)) return;
+
+	commitExchange(conversation, prompt, output.text);
+	clientWs.send(JSON.stringify({
+		type: 'ai_response_done',
+		text: output.text,
+		turnId,
+		citations: buildCitations(knowledge, output.text),
+		knowledgeVersion: knowledgeBase.version,
+		...(output.blocked ? { guardrail: output.blocked } : {}),
+		...speechResult(spoken)
+	}));
+}
+
+// Answers a blocked user turn with the rule's reply instead of the model's.
+// The exchange stays out of history.
+async function sendGuardReply(clientWs, conversation, turn, blocked) {
+	conversation.turns.setPhase(turn, 'speaking');
+	const speech = createSpeechQueue(clientWs, conversation, turn);
+	if (speech) speech.push(blocked.reply);
+	const spoken = speech ? await speech.finish() : null;
+	if (turn.signal.aborted) return;
+	sendToClient(clientWs, {
+		type: 'ai_response_done',
+		text: blocked.reply,
+		turnId: turn.id,
+		guardrail: blocked.category,
+		...speechResult(spoken)
+	});
+}
+
+// What tools get to know about a turn. captureLead keeps `userText`, the
+// user's own words, as the record of their consent.
+function toolContext(clientWs, conversation, { log, userText, language }) {
+	return {
+		sessionId: conversation.id,
+		log,
+		userText,
+		lead: { siteId: conversation.siteId, dealerId: conversation.dealerId, tenantId: conversation.tenantId, language: language || null, captured: conversation.leads },
+		onLead: (lead, created) => sendToClient(clientWs, leadStatus(lead, created)),
+		showLeadForm: form => sendToClient(clientWs, { type: 'lead_form', ...form })
+	};
+}
+
+function leadStatus(lead, created) {
+	return { type: 'lead_status', leadId: lead.id, status: created ? 'captured' : 'already_captured', source: lead.source };
+}
+
+// The lead form. Unusable details are answered with invalid_lead, which is
+// not a protocol violation and so no strike.
+async function submitLead(clientWs, conversation, message) {
+	try {
+		const { lead, created } = await leadService.capture(message, {
+			consent: message.consent ? { method: 'form', text: message.consentText || LEAD_FORM_CONSENT } : null,
+			source: 'form',
+			sessionId: conversation.id,
+			siteId: conversation.siteId,
+			dealerId: conversation.dealerId,
+			tenantId: conversation.tenantId,
+			language: conversation.language === 'auto' ? null : conversation.language,
+			captured: conversation.leads
 		});
+		sendToClient(clientWs, leadStatus(lead, created));
+	} catch (error) {
+		if (!(error instanceof LeadError)) throw error;
+		conversation.log.info('Lead form rejected', { fields: error.errors.map(e => e.path) });
+		sendToClient(clientWs, { type: 'error', code: 'invalid_lead', message: error.message, retryable: false, errors: error.errors });
+	}
+}
 
-		contents.push({
-			role: 'user',
-			parts: [
-				{ inline_data: { mime_type: 'audio/wav', data: base64 } }
-			]
+// Adds a finished exchange to history, pins slots from the user's words and,
+// in the background, folds old messages into the summary when history has
+// outgrown the memory budget.
+function commitExchange(conversation, userText, modelText) {
+	if (userText) conversation.conversationHistory.push({ role: 'user', text: userText });
+	if (modelText) conversation.conversationHistory.push({ role: 'model', text: modelText });
+	conversation.memory.observe(userText);
+	saveSession(conversation);
+	conversation.memory.compact(conversation.conversationHistory).then((changed) => {
+		if (changed && activeConversations.get(conversation.id) === conversation) saveSession(conversation);
+	});
+}
+
+function createSpeechQueue(clientWs, conversation, turn) {
+	if (!tts || !conversation.speech) return null;
+	return new SpeechQueue(tts, {
+		languageCode: turn.language,
+		signal: turn.signal,
+		log: turn.log,
+		onAudio: ({ pcm, sampleRate }) => {
+			if (turn.signal.aborted) return;
+			conversation.turns.setPhase(turn, 'speaking');
+			sendToClient(clientWs, { type: 'ai_audio', data: pcm.toString('base64'), mimeType: `audio/pcm;rate=${sampleRate}`, turnId: turn.id });
+		}
+	});
+}
+
+function speechResult(spoken) {
+	if (!spoken || !(spoken.spoken || spoken.unspokenText)) return {};
+	return spoken.unspokenText ? { audio: spoken.spoken, fallbackText: spoken.unspokenText } : { audio: true };
+}
+
+function saveSession(conversation) {
+	const now = Date.now();
+	return sessionStore.set(conversation.id, {
+		id: conversation.id,
+		history: conversation.conversationHistory,
+		language: conversation.language,
+		hinglishScript: conversation.hinglishScript,
+		memory: conversation.memory.toJSON(),
+		leads: [...conversation.leads.values()],
+		updatedAt: new Date(now).toISOString(),
+		expiresAt: now + SESSION_TTL_MS
+	}).catch(error => conversation.log.error('Failed to save session', { error }));
+}
+
+// Verifies a resume token and returns the history to continue from: the live
+// conversation if the old socket has not closed yet, otherwise the stored one.
+async function resumeSession(token) {
+	const sessionId = token ? sessionSigner.verify(token) : null;
+	if (!sessionId) return null;
+	const active = activeConversations.get(sessionId);
+	if (active) {
+		return { id: sessionId, history: active.conversationHistory, language: active.language, hinglishScript: active.hinglishScript, memory: active.memory.toJSON(), leads: [...active.leads.values()] };
+	}
+	const stored = await sessionStore.get(sessionId).catch((error) => {
+		logger.error('Failed to load session', { sessionId, error });
+		return null;
+	});
+	if (!stored) return null;
+	const language = stored.language === 'auto' ? 'auto' : normalizeLanguage(stored.language || stored.languageCode);
+	return { id: sessionId, history: stored.history || [], language, hinglishScript: stored.hinglishScript, memory: stored.memory, leads: stored.leads || [] };
+}
+
+function releaseConversation(conversation) {
+	conversation.turns.close();
+	if (conversation.vad) {
+		conversation.vad.removeAllListeners();
+		conversation.vad = null;
+	}
+	if (conversation.live) {
+		conversation.live.close();
+	}
+}
+
+function modelStatus(conversation) {
+	const status = health.status();
+	const payload = {
+		type: 'model_status',
+		connected: status.healthy !== false,
+		provider: provider.name,
+		model: provider.model,
+		speech: conversation.speech
+	};
+	if (status.error) payload.error = status.error;
+	return payload;
+}
+
+// Live sessions report their own status; everyone else follows the health probe.
+health.on('change', (status) => {
+	logger[status.healthy ? 'info' : 'warn']('Model health changed', { provider: provider.name, model: provider.model, healthy: status.healthy, code: status.error, latencyMs: status.latencyMs });
+	activeConversations.forEach((conversation) => {
+		if (conversation.protocol && !conversation.live) sendToClient(conversation.clientWs, modelStatus(conversation));
+	});
+});
+
+function sendToClient(clientWs, payload) {
+	if (clientWs.readyState === WebSocket.OPEN) {
+		clientWs.send(JSON.stringify(payload));
+	}
+}
+
+async function runVoiceTurn(clientWs, conversation, audio) {
+	if (!allowModelCall(clientWs, conversation)) return;
+	const turn = beginTurn(conversation, 'voice', { phase: 'transcribing' });
+	try {
+		await transcribeAndReply(clientWs, conversation, turn, audio);
+	} finally {
+		conversation.turns.end(turn);
+	}
+}
+
+async function transcribeAndReply(clientWs, conversation, turn, audio) {
+	const { log, id: turnId } = turn;
+	log.info('Transcribing audio', { bytes: audio.length });
+
+	const started = Date.now();
+	let result;
+	try {
+		result = await transcribeAudio(pcm16FromBuffer(audio), {
+			languageCode: conversation.language === 'auto' ? undefined : conversation.language,
+			abortController: turn.abortController,
+			log
 		});
+	} catch (error) {
+		upstreamErrorsMetric.inc({ operation: 'transcribe', code: classifyError(error).code });
+		log.error('Transcription failed', { code: error.code, error: error.message });
+		sendError(clientWs, error, turnId);
+		return;
+	}
+	if (result === null) return;
+	transcriptionSeconds.observe({ provider: provider.name }, (Date.now() - started) / 1000);
+	recordUsage(result.usage, 'transcribe');
 
-		const requestBody = { system_instruction: systemInstruction, contents };
-		const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${GOOGLE_API_KEY}`;
-		const response = await (universalFetch || fetch)(apiUrl, {
-			method: 'POST',
-			headers: { 'Content-Type': 'application/json' },
-			body: JSON.stringify(requestBody),
-			signal: abortController?.signal
+	const { transcript, language, confidence } = result;
+	turn.language = replyLanguage(conversation, language);
+	log.info('Transcribed audio', { language, replyLanguage: turn.language, confidence, chars: transcript ? transcript.length : 0 });
+	log.payload('Transcript', { text: transcript });
+	const lowConfidence = !transcript || confidence < TRANSCRIPT_MIN_CONFIDENCE;
+	sendToClient(clientWs, {
+		type: 'user_transcript',
+		text: transcript || '',
+		turnId,
+		...(turn.language ? { replyLanguage: turn.language } : {}),
+		language,
+		confidence,
+		lowConfidence
+	});
+	if (lowConfidence) {
+		log.info('Low-confidence transcript, asking the user to repeat', { confidence });
+		const text = repeatPrompt(turn.language, conversation.hinglishScript);
+		conversation.turns.setPhase(turn, 'speaking');
+		const speech = createSpeechQueue(clientWs, conversation, turn);
+		if (speech) speech.push(text);
+		const spoken = speech ? await speech.finish() : null;
+		if (turn.signal.aborted) return;
+		sendToClient(clientWs, {
+			type: 'ai_response_done',
+			text,
+			turnId,
+			repeat: true,
+			...speechResult(spoken)
 		});
+		return;
+	}
+
+	await streamReply(clientWs, conversation, turn, transcript);
+}
 
-		if (!response.ok) {
-			const errorText = await response.text();
-			throw new Error(`HTTP ${response.status}: ${errorText}`);
+// Typed turns run through TurnManager#whenIdle, so they never cut off a reply.
+async function runTextTurn(clientWs, conversation, text, turnId) {
+	const turn = beginTurn(conversation, 'text', { turnId, phase: 'thinking' });
+	turn.language = replyLanguage(conversation, detectTextLanguage(text));
+	turn.log.payload('User message', { text });
+	sendToClient(clientWs, { type: 'user_message', text, turnId: turn.id, ...(turn.language ? { replyLanguage: turn.language } : {}) });
+
+	// Live turns end on turn_complete.
+	if (conversation.live) {
+		const input = conversation.guard.checkInput(text, { turnId: turn.id, language: turn.language });
+		if (input.blocked) {
+			try {
+				await sendGuardReply(clientWs, conversation, turn, input.blocked);
+			} finally {
+				conversation.turns.end(turn);
+			}
+			return;
 		}
+		resetLiveTurn(conversation, turn);
+		conversation.liveTurn.userText = text;
+		conversation.liveTurn.awaiting = true;
+		conversation.live.sendText(input.text);
+		return;
+	}
+	try {
+		await streamReply(clientWs, conversation, turn, text);
+	} finally {
+		conversation.turns.end(turn);
+	}
+}
 
-		const data = await response.json();
-		const responseText = data?.candidates?.[0]?.content?.parts?.[0]?.text;
-		if (!responseText) {
-			throw new Error('No text found in AI response');
+function createVad(overrides = {}) {
+	const options = { ...VAD_OPTIONS };
+	Object.keys(VAD_CLIENT_LIMITS).forEach(key => {
+		const value = Number(overrides[key]);
+		if (overrides[key] === undefined || !Number.isFinite(value)) return;
+		const [min, max] = VAD_CLIENT_LIMITS[key];
+		options[key] = Math.min(max, Math.max(min, value));
+	});
+	if (VAD_DETECTOR_MODULE) {
+		options.detector = loadDetector(VAD_DETECTOR_MODULE, options);
+	}
+	return new VoiceActivityDetector(options);
+}
+
+function parseBargeInSettings(settings = {}) {
+	const sensitivity = BARGE_IN_SENSITIVITY[settings.sensitivity] ? settings.sensitivity : 'medium';
+	const graceMs = Number(settings.graceMs);
+	return {
+		enabled: settings.enabled !== false,
+		sensitivity,
+		graceMs: Number.isFinite(graceMs) ? Math.min(3000, Math.max(0, graceMs)) : BARGE_IN_GRACE_MS
+	};
+}
+
+// While Rev is audible the mic also hears Rev, so detection gets stricter
+// until playback ends.
+function applyPlaybackThresholds(conversation) {
+	const vad = conversation.vad;
+	if (!vad) return;
+	if (conversation.assistantSpeakingSince !== null) {
+		vad.updateOptions({
+			energyThreshold: conversation.vadBaseOptions.energyThreshold * BARGE_IN_SENSITIVITY[conversation.bargeIn.sensitivity],
+			startMs: Math.max(conversation.vadBaseOptions.startMs, BARGE_IN_START_MS)
+		});
+	} else {
+		vad.updateOptions(conversation.vadBaseOptions);
+	}
+}
+
+// Whether the user can hear Rev right now, as reported by the client.
+function setPlayback(conversation, speaking) {
+	conversation.assistantSpeakingSince = speaking ? (conversation.assistantSpeakingSince || Date.now()) : null;
+	conversation.turns.setPlaying(speaking);
+	applyPlaybackThresholds(conversation);
+}
+
+function isReplyInFlight(conversation) {
+	const state = conversation.turns.state;
+	return !!conversation.turns.active && (state === 'thinking' || state === 'speaking');
+}
+
+function bargeIn(clientWs, conversation) {
+	conversation.log.info('User barged in, cancelling reply');
+	interruptsMetric.inc({ kind: 'barge_in' });
+	conversation.turns.cancel();
+	conversation.assistantSpeakingSince = null;
+	conversation.turns.setPlaying(false);
+	applyPlaybackThresholds(conversation);
+	sendToClient(clientWs, { type: 'barge_in', ...(conversation.turnId ? { turnId: conversation.turnId } : {}) });
+}
+
+// Decides what a new utterance means while Rev is replying: a barge-in, or
+// Rev's own voice leaking into the mic that should be ignored.
+function shouldIgnoreUtterance(clientWs, conversation) {
+	const playing = conversation.assistantSpeakingSince !== null;
+	if (!playing && !isReplyInFlight(conversation)) return false;
+	if (!conversation.bargeIn.enabled) return playing;
+	if (playing && Date.now() - conversation.assistantSpeakingSince < conversation.bargeIn.graceMs) return true;
+	bargeIn(clientWs, conversation);
+	return false;
+}
+
+function startHandsFree(clientWs, conversation, overrides, bargeInSettings) {
+	const vad = createVad(overrides);
+	conversation.vad = vad;
+	conversation.vadBaseOptions = { energyThreshold: vad.options.energyThreshold, startMs: vad.options.startMs };
+	conversation.bargeIn = parseBargeInSettings(bargeInSettings);
+	conversation.ignoreUtterance = false;
+	applyPlaybackThresholds(conversation);
+
+	vad.on('speech_start', ({ preroll }) => {
+		conversation.ignoreUtterance = shouldIgnoreUtterance(clientWs, conversation);
+		if (conversation.ignoreUtterance) return;
+		// Live turns are billed as they start; REST turns in runVoiceTurn.
+		let turn = null;
+		if (conversation.live) {
+			if (!allowModelCall(clientWs, conversation)) {
+				conversation.ignoreUtterance = true;
+				return;
+			}
+			turn = beginTurn(conversation, 'voice', { phase: 'listening' });
 		}
-		return responseText;
+		conversation.turns.setUserSpeaking(true);
+		sendToClient(clientWs, { type: 'speech_started' });
+		if (conversation.live) {
+			resetLiveTurn(conversation, turn);
+			conversation.liveTurn.voice = true;
+			conversation.live.startActivity();
+			conversation.live.sendAudio(preroll);
+		}
+	});
+
+	vad.on('audio', (pcm) => {
+		if (conversation.live && !conversation.ignoreUtterance) conversation.live.sendAudio(pcm);
+	});
+
+	vad.on('speech_end', ({ audio, speechMs }) => {
+		if (conversation.ignoreUtterance) {
+			conversation.ignoreUtterance = false;
+			return;
+		}
+		sendToClient(clientWs, { type: 'speech_ended', durationMs: speechMs });
+		if (conversation.live) {
+			conversation.turns.setPhase(conversation.liveTurn.turn, 'thinking');
+			conversation.liveTurn.awaiting = true;
+			conversation.live.endActivity();
+		} else {
+			runVoiceTurn(clientWs, conversation, audio).catch(error => {
+				conversation.log.error('Hands-free turn failed', { error });
+			});
+		}
+		conversation.turns.setUserSpeaking(false);
+	});
+
+	vad.on('speech_discarded', ({ speechMs }) => {
+		if (conversation.ignoreUtterance) {
+			conversation.ignoreUtterance = false;
+			return;
+		}
+		sendToClient(clientWs, { type: 'speech_ended', durationMs: speechMs, discarded: true });
+		if (conversation.live) {
+			conversation.turns.cancel();
+			conversation.liveTurn.awaiting = true;
+			conversation.live.endActivity();
+		}
+		conversation.turns.setUserSpeaking(false);
+	});
+}
+
+function handleAudioFrame(conversation, data) {
+	if (!conversation || !conversation.isSpeaking) return;
+	let frame;
+	try {
+		frame = parseAudioFrame(data);
 	} catch (error) {
-		console.error('Audio->Text processing error:', error);
-		return `Sorry, I could not process the audio: ${error.message}`;
+		conversation.log.warn('Dropping audio frame', { error: error.message });
+		return;
 	}
+	handleAudio(conversation, frame);
 }
 
-wss.on('connection', (clientWs) => {
-	console.log('Client WebSocket connected');
-	const clientId = Date.now().toString();
-	activeConversations.set(clientId, {
-		conversationHistory: [],
+// Clients without binaryAudio send the same frames as base64 audio_data messages.
+function handleAudioMessage(conversation, message) {
+	if (!conversation.isSpeaking) return;
+	const pcm = Buffer.from(message.data, 'base64');
+	handleAudio(conversation, { seq: message.seq, sampleRate: message.sampleRate, pcm: pcm.subarray(0, pcm.length - (pcm.length % 2)) });
+}
+
+function handleAudio(conversation, frame) {
+	if (conversation.audioSeq !== null) {
+		if (frame.seq <= conversation.audioSeq) {
+			conversation.log.warn('Dropping out-of-order audio frame', { seq: frame.seq });
+			return;
+		}
+		if (frame.seq !== conversation.audioSeq + 1) {
+			conversation.log.warn('Audio frames lost', { expected: conversation.audioSeq + 1, got: frame.seq });
+		}
+	}
+	conversation.audioSeq = frame.seq;
+
+	const pcm = resamplePcm16(frame.pcm, frame.sampleRate);
+	// Hands-free turns are capped by the VAD's maxUtteranceMs instead.
+	if (!conversation.vad) {
+		conversation.utteranceBytes += pcm.length;
+		if (conversation.utteranceBytes > MAX_UTTERANCE_BYTES) {
+			if (!conversation.utteranceCapped) {
+				conversation.utteranceCapped = true;
+				rejectMessage(conversation.clientWs, conversation.id, 'limit_exceeded', 'utterance');
+			}
+			return;
+		}
+	}
+	audioSecondsMetric.inc({}, pcm.length / 2 / TARGET_SAMPLE_RATE);
+	if (conversation.vad) {
+		conversation.vad.push(pcm);
+	} else if (conversation.live) {
+		conversation.live.sendAudio(pcm);
+	} else {
+		conversation.audioBuffer.push(pcm);
+	}
+}
+
+// Upstream output for a cancelled (or no) turn is dropped until turn_complete.
+// `awaiting` is set once the turn has been sent upstream; if a new turn starts
+// before a cancelled one's reply has ended, that reply is counted in
+// liveStaleReplies and dropped until its turn_complete or interrupted, so none
+// of it reaches the new turn.
+function resetLiveTurn(conversation, turn = null) {
+	const previous = conversation.liveTurn;
+	if (previous && previous.awaiting && isLiveTurnCancelled(previous)) conversation.liveStaleReplies += 1;
+	conversation.liveTurn = { turn, turnId: turn ? turn.id : null, voice: false, userText: '', responseText: '', hasAudio: false, awaiting: false };
+	resetLiveOutput(conversation);
+}
+
+function resetLiveOutput(conversation) {
+	const { turn, turnId } = conversation.liveTurn;
+	conversation.liveTurn.output = conversation.guard.outputFilter({ turnId, language: turn ? turn.language : null });
+}
+
+// Reopening the Live socket drops the reply it is working on, and with it the
+// turn_complete that ends the turn, so a new config waits until no turn is
+// active (see the state listener in startLiveSession).
+function reconfigureLive(conversation) {
+	if (!conversation.live) return;
+	if (conversation.turns.active) {
+		conversation.liveReconfigurePending = true;
+		return;
+	}
+	conversation.liveReconfigurePending = false;
+	conversation.live.reconfigure();
+}
+
+function isLiveTurnCancelled(liveTurn) {
+	return !liveTurn.turn || liveTurn.turn.signal.aborted;
+}
+
+function isLiveOutputDropped(conversation) {
+	return conversation.liveStaleReplies > 0 || isLiveTurnCancelled(conversation.liveTurn);
+}
+
+function startLiveSession(clientId, clientWs) {
+	const conversation = activeConversations.get(clientId);
+	const live = new LiveSession({
+		url: GEMINI_LIVE_URL,
+		apiKey: GOOGLE_API_KEY,
+		model: GEMINI_MODEL,
+		systemInstruction: () => revSystemPrompt(conversation),
+		responseModalities: [conversation.speech === 'live' ? 'AUDIO' : 'TEXT'],
+		history: () => conversation.memory.window(conversation.conversationHistory)
+			.map(msg => ({ role: msg.role, text: conversation.guard.redact(msg.text) })),
+		functionDeclarations: toolRegistry.declarations()
+	});
+	conversation.live = live;
+	resetLiveTurn(conversation);
+	conversation.turns.on('state', () => {
+		if (conversation.liveReconfigurePending) reconfigureLive(conversation);
+	});
+
+	const send = (payload) => {
+		if (clientWs.readyState === WebSocket.OPEN) {
+			clientWs.send(JSON.stringify(payload));
+		}
+	};
+
+	live.on('ready', () => {
+		// A new socket owes no replies to the old one's turns.
+		conversation.liveStaleReplies = 0;
+		conversation.log.info('Gemini Live session ready', { model: GEMINI_MODEL });
+		send({ type: 'model_status', connected: true, provider: provider.name, model: GEMINI_MODEL, live: true, speech: conversation.speech });
+	});
+
+	live.on('reconnecting', ({ attempt, delay }) => {
+		conversation.log.warn('Gemini Live session dropped, reconnecting', { attempt, delayMs: delay });
+		send({ type: 'model_status', connected: false, reconnecting: true, provider: provider.name, model: GEMINI_MODEL, live: true });
+	});
+
+	const flushUserTranscript = () => {
+		const turn = conversation.liveTurn;
+		if (!turn.voice) return;
+		turn.voice = false;
+		const userText = turn.userText.trim();
+		if (userText) {
+			conversation.turnLog.payload('Transcript', { text: userText });
+			send({ type: 'user_transcript', text: userText, turnId: turn.turnId });
+			// The audio has already reached the model, so this only audits.
+			conversation.guard.checkInput(userText, { turnId: turn.turnId });
+		}
+	};
+
+	live.on('input_transcription', (text) => {
+		conversation.liveTurn.userText += text;
+	});
+
+	const releaseText = (text) => {
+		if (!text) return;
+		conversation.liveTurn.responseText += text;
+		if (conversation.protocol.capabilities.streaming) {
+			send({ type: 'ai_response_delta', text, turnId: conversation.liveTurn.turnId });
+		}
+	};
+
+	// In AUDIO mode this is the transcript, which trails the audio: a blocked
+	// reply is cut short from there on.
+	live.on('text', (text) => {
+		if (isLiveOutputDropped(conversation)) return;
+		flushUserTranscript();
+		conversation.turns.setPhase(conversation.liveTurn.turn, 'speaking');
+		releaseText(conversation.liveTurn.output.push(text));
+	});
+
+	live.on('audio', (data, mimeType) => {
+		if (isLiveOutputDropped(conversation) || conversation.liveTurn.output.blocked) return;
+		flushUserTranscript();
+		conversation.turns.setPhase(conversation.liveTurn.turn, 'speaking');
+		conversation.liveTurn.hasAudio = true;
+		send({ type: 'ai_audio', data, mimeType, turnId: conversation.liveTurn.turnId });
+	});
+
+	live.on('tool_call', async (functionCalls) => {
+		const functionResponses = [];
+		for (const call of functionCalls) {
+			const { turnId } = conversation.liveTurn;
+			const muted = isLiveOutputDropped(conversation);
+			const args = conversation.guard.vault.restoreDeep(call.args || {});
+			if (!muted) send({ type: 'tool_call', id: call.id, name: call.name, args, turnId });
+			conversation.turnLog.info('Tool call', { tool: call.name });
+			conversation.turnLog.payload('Tool arguments', { tool: call.name, args: call.args });
+			const context = toolContext(clientWs, conversation, {
+				log: conversation.turnLog,
+				userText: conversation.liveTurn.userText,
+				language: conversation.liveTurn.turn ? conversation.liveTurn.turn.language : null
+			});
+			const result = await toolRegistry.execute(call.name, args, context);
+			if (!muted) send({ type: 'tool_result', id: call.id, name: call.name, result, turnId });
+			functionResponses.push({ id: call.id, name: call.name, response: result });
+		}
+		live.sendToolResponse(functionResponses);
+	});
+
+	live.on('usage', (usage) => {
+		recordUsage(usage, 'live');
+	});
+
+	live.on('interrupted', () => {
+		if (conversation.liveStaleReplies > 0) {
+			conversation.liveStaleReplies -= 1;
+			return;
+		}
+		conversation.liveTurn.awaiting = false;
+		conversation.liveTurn.responseText = '';
+		resetLiveOutput(conversation);
+	});
+
+	// The exchange only reaches history here, so cancelled turns never do.
+	live.on('turn_complete', () => {
+		if (conversation.liveStaleReplies > 0) {
+			conversation.liveStaleReplies -= 1;
+			return;
+		}
+		conversation.liveTurn.awaiting = false;
+		if (isLiveTurnCancelled(conversation.liveTurn)) {
+			resetLiveTurn(conversation);
+			return;
+		}
+		flushUserTranscript();
+		releaseText(conversation.liveTurn.output.finish());
+		const turn = conversation.liveTurn;
+		resetLiveTurn(conversation);
+
+		const userText = turn.userText.trim();
+		const responseText = turn.responseText.trim();
+		conversation.turnLog.info('Live turn complete', { chars: responseText.length, audio: turn.hasAudio });
+		conversation.turnLog.payload('Reply', { text: responseText });
+		commitExchange(conversation, userText, responseText);
+		send({ type: 'ai_response_done', text: responseText, turnId: turn.turnId, audio: turn.hasAudio, ...(turn.output.blocked ? { guardrail: turn.output.blocked } : {}) });
+		conversation.turns.end(turn.turn);
+	});
+
+	live.on('error', (error) => {
+		conversation.log.error('Gemini Live error', { error: error.message });
+	});
+
+	live.on('close', (error) => {
+		if (!error) return;
+		upstreamErrorsMetric.inc({ operation: 'live', code: 'live_disconnected' });
+		conversation.log.error('Gemini Live session gave up', { error: error.message });
+		send({ type: 'model_status', connected: false, provider: provider.name, model: GEMINI_MODEL, live: true });
+		send({ type: 'error', code: 'live_disconnected', message: 'Lost connection to Gemini Live. Please reconnect.', retryable: true });
+	});
+
+	live.connect().catch(() => {});
+}
+
+// Settles what the client can handle, then connects it to the model.
+// Sent when a conversation starts fresh, in the conversation's language
+// (English in auto mode).
+function sendGreeting(clientWs, conversation) {
+	const language = conversation.language === 'auto' ? 'en' : conversation.language;
+	sendToClient(clientWs, { type: 'greeting', text: greetingFor(personaFor(conversation), language), language });
+}
+
+function languageStatus(conversation) {
+	return { type: 'language_status', language: conversation.language, hinglishScript: conversation.hinglishScript };
+}
+
+// Applies to the next turn, voice or text; a turn already running keeps its language.
+function setLanguage(clientWs, conversation, language, hinglishScript = conversation.hinglishScript) {
+	if (language === conversation.language && hinglishScript === conversation.hinglishScript) return;
+	conversation.language = language;
+	conversation.hinglishScript = hinglishScript;
+	conversation.log.info('Language changed', { language, hinglishScript });
+	reconfigureLive(conversation);
+	saveSession(conversation);
+	sendToClient(clientWs, languageStatus(conversation));
+}
+
+async function handleHello(clientWs, conversation, message) {
+	if (conversation.protocol) {
+		rejectInvalid(clientWs, conversation.id, 'unexpected_message', [{ path: 'type', message: 'hello was already received' }], 'hello');
+		return;
+	}
+	if (!protocol.SUPPORTED_VERSIONS.includes(message.version)) {
+		conversation.log.warn('Unsupported protocol version', { version: message.version, client: message.client });
+		sendToClient(clientWs, {
+			type: 'error',
+			code: 'unsupported_version',
+			message: `Protocol version ${message.version} is not supported. Please update the page.`,
+			retryable: false,
+			supportedVersions: protocol.SUPPORTED_VERSIONS
+		});
+		clientWs.close(1002, 'Unsupported protocol version');
+		return;
+	}
+	const requested = protocol.clientCapabilities(message.capabilities);
+	const capabilities = { ...requested, serverTts: requested.serverTts && SPEECH_SOURCE !== null };
+	conversation.protocol = { version: message.version, capabilities, client: message.client || null };
+	conversation.speech = capabilities.serverTts ? SPEECH_SOURCE : null;
+	if (message.language) {
+		conversation.language = message.language;
+		conversation.hinglishScript = message.hinglishScript || conversation.hinglishScript;
+	}
+	conversation.log.info('Protocol handshake complete', { version: message.version, capabilities, client: message.client });
+	sendToClient(clientWs, { type: 'welcome', version: message.version, capabilities });
+	sendToClient(clientWs, { type: 'state', state: conversation.turns.state });
+	sendToClient(clientWs, languageStatus(conversation));
+	if (conversation.conversationHistory.length === 0) sendGreeting(clientWs, conversation);
+
+	if (USE_LIVE) {
+		startLiveSession(conversation.id, clientWs);
+	} else {
+		await health.ready();
+		sendToClient(clientWs, modelStatus(conversation));
+	}
+}
+
+// The state of one conversation, for a widget connection or a phone call
+// (`channel` is widget or phone). `resumed` is a stored session (see
+// resumeSession) or null.
+function createConversation({ id, channel = 'widget', connectionId, clientWs, ip, log, siteId, dealerId = null, tenantId = null, resumed = null }) {
+	const turns = new TurnManager({ maxQueued: MAX_QUEUED_TURNS, logger: log });
+	turns.on('state', ({ state, turnId }) => {
+		sendToClient(clientWs, { type: 'state', state, ...(turnId ? { turnId } : {}) });
+	});
+	const guard = guardrails.session({ sessionId: id, history: resumed ? resumed.history : [], log });
+	return {
+		id,
+		channel,
+		connectionId,
+		clientWs,
+		ip,
+		log,
+		turns,
+		turnLog: log,
+		turnCount: 0,
+		turnId: null,
+		protocol: null,
+		speech: null,
+		connectedAt: new Date().toISOString(),
+		lastActivityAt: new Date().toISOString(),
+		siteId,
+		dealerId,
+		tenantId,
+		conversationHistory: resumed ? resumed.history : [],
+		memory: createMemory(resumed && resumed.memory, log, guard),
+		guard,
+		// Leads captured in this session, by phone number, so a repeat is not
+		// captured twice.
+		leads: new Map(((resumed && resumed.leads) || []).map(lead => [lead.phone, lead])),
 		isSpeaking: false,
 		currentResponse: null,
 		audioBuffer: [],
-		languageCode: 'en-IN',
-		abortController: null
-	});
+		audioSeq: null,
+		utteranceBytes: 0,
+		utteranceCapped: false,
+		mode: 'push_to_talk',
+		vad: null,
+		vadBaseOptions: null,
+		bargeIn: parseBargeInSettings({ enabled: false }),
+		ignoreUtterance: false,
+		assistantSpeakingSince: null,
+		language: (resumed && resumed.language) || DEFAULT_LANGUAGE,
+		hinglishScript: (resumed && resumed.hinglishScript) || HINGLISH_SCRIPT,
+		live: null,
+		liveTurn: null,
+		liveStaleReplies: 0,
+		liveReconfigurePending: false
+	};
+}
+
+wss.on('connection', async (clientWs, req) => {
+	const connectionId = crypto.randomBytes(6).toString('hex');
+	const ip = clientAddress(req);
+	const connectionLog = logger.child({ connectionId, siteId: req.auth.siteId });
+	connectionLog.info('Client WebSocket connected', { ip, origin: req.headers.origin });
+	if (!connectionCounter.acquire(ip)) {
+		connectionLog.warn('Rejecting connection: too many connections', { ip });
+		sendToClient(clientWs, { type: 'error', code: 'limit_exceeded', limit: 'connections', message: LIMIT_MESSAGES.connections, retryable: true });
+		clientWs.close(1013, 'Too many connections');
+		return;
+	}
+	clientWs.once('close', () => connectionCounter.release(ip));
+	connectionsMetric.inc();
+	// Hold incoming frames until the session is restored.
+	clientWs.pause();
+	const params = new URL(req.url, 'http://localhost').searchParams;
+	const resumed = await resumeSession(params.get('session'));
+	const dealerParam = (params.get('dealer') || '').toUpperCase();
+	const tenantParam = (params.get('tenant') || '').toLowerCase();
+	if (clientWs.readyState !== WebSocket.OPEN) return;
+
+	const clientId = resumed ? resumed.id : crypto.randomUUID();
+	const previous = activeConversations.get(clientId);
+	const log = connectionLog.child({ sessionId: clientId });
+	if (tenantParam && !personaStore.hasTenant(tenantParam)) {
+		log.warn('Unknown tenant, using the default persona', { tenant: tenantParam.slice(0, 40) });
+	}
+	if (previous) {
+		log.info('Session resumed on a new connection, closing the old one', { previousConnectionId: previous.connectionId });
+		releaseConversation(previous);
+		previous.clientWs.close(4000, 'Session resumed on another connection');
+	}
+	activeConversations.set(clientId, createConversation({
+		id: clientId,
+		connectionId,
+		clientWs,
+		ip,
+		log,
+		siteId: req.auth.siteId,
+		dealerId: /^[A-Z0-9-]{1,20}$/.test(dealerParam) ? dealerParam : null,
+		tenantId: TENANT_ID.test(tenantParam) && personaStore.hasTenant(tenantParam) ? tenantParam : null,
+		resumed
+	}));
+	if (resumed) {
+		log.info('Resumed session', { messages: resumed.history.length });
+	}
 
 	clientWs.send(JSON.stringify({
 		type: 'connection_status',
 		connected: true,
-		hasApiKey: !!GOOGLE_API_KEY
+		hasApiKey: provider.configured,
+		sessionToken: sessionSigner.issue(clientId),
+		resumed: !!resumed,
+		history: resumed ? resumed.history.slice(-SESSION_REPLAY_MESSAGES) : [],
+		limits: { maxTextLength: MAX_TEXT_LENGTH, maxUtteranceMs: MAX_UTTERANCE_MS }
 	}));
 
-	if (!GOOGLE_API_KEY) {
+	if (!provider.configured) {
 		clientWs.send(JSON.stringify({
 			type: 'error',
-			message: 'Server misconfigured: missing GOOGLE_API_KEY. Please add your API key to .env file.'
+			code: 'misconfigured',
+			message: `Server misconfigured: missing API key for the ${provider.name} provider. Please add it to the .env file.`
 		}));
+		activeConversations.delete(clientId);
+		clientWs.resume();
 		return;
 	}
 
-	clientWs.send(JSON.stringify({
-		type: 'gemini_status',
-		connected: true,
-		model: GEMINI_MODEL
-	}));
+	const helloTimer = setTimeout(() => {
+		const conversation = activeConversations.get(clientId);
+		if (conversation && conversation.clientWs === clientWs && !conversation.protocol) {
+			log.warn('No hello received, closing connection');
+			clientWs.close(1008, 'Handshake timeout');
+		}
+	}, HELLO_TIMEOUT_MS);
+	clientWs.once('close', () => clearTimeout(helloTimer));
 
-	clientWs.on('message', async (data) => {
+	clientWs.on('message', async (data, isBinary) => {
+		const current = activeConversations.get(clientId);
+		if (current) current.lastActivityAt = new Date().toISOString();
+		const rate = messageLimiter.hit(clientId);
+		if (!rate.allowed) {
+			rejectMessage(clientWs, clientId, 'rate_limited', 'messages', rate.retryAfterMs);
+			return;
+		}
+		if (isBinary) {
+			handleAudioFrame(activeConversations.get(clientId), data);
+			return;
+		}
+		let message;
 		try {
-			const message = JSON.parse(data.toString());
-			const conversation = activeConversations.get(clientId);
-			
-			console.log('Client message:', message.type);
+			message = JSON.parse(data.toString());
+		} catch (error) {
+			message = null;
+		}
+		const check = protocol.validateClientMessage(message);
+		if (!check.ok) {
+			log.warn('Invalid client message', { code: check.code, errors: check.errors });
+			rejectInvalid(clientWs, clientId, check.code, check.errors, message && typeof message.type === 'string' ? message.type.slice(0, 64) : undefined);
+			return;
+		}
+		const conversation = activeConversations.get(clientId);
+		try {
+			if (message.type === 'hello') {
+				await handleHello(clientWs, conversation, message);
+				return;
+			}
+			if (!conversation.protocol) {
+				rejectInvalid(clientWs, clientId, 'handshake_required', [{ path: 'type', message: 'must be hello' }], message.type);
+				return;
+			}
+			log.debug('Client message', { type: message.type });
 
 			switch (message.type) {
 				case 'start_mic':
+					if (conversation.vad) {
+						conversation.vad.removeAllListeners();
+						conversation.vad = null;
+					}
 					conversation.isSpeaking = true;
 					conversation.audioBuffer = [];
-					if (typeof message.languageCode === 'string' && message.languageCode.trim()) {
-						conversation.languageCode = message.languageCode.trim();
+					conversation.audioSeq = null;
+					conversation.utteranceBytes = 0;
+					conversation.utteranceCapped = false;
+					conversation.mode = message.mode === 'hands_free' ? 'hands_free' : 'push_to_talk';
+					// Older clients pick the language here instead of with set_language.
+					if (message.languageCode && normalizeLanguage(message.languageCode)) {
+						setLanguage(clientWs, conversation, normalizeLanguage(message.languageCode));
+					}
+					if (conversation.mode === 'hands_free') {
+						startHandsFree(clientWs, conversation, message.vad || {}, message.bargeIn || {});
+					} else if (conversation.live) {
+						if (!allowModelCall(clientWs, conversation)) {
+							conversation.isSpeaking = false;
+							clientWs.send(JSON.stringify({ type: 'mic_status', started: false }));
+							break;
+						}
+						resetLiveTurn(conversation, beginTurn(conversation, 'voice', { phase: 'listening' }));
+						conversation.liveTurn.voice = true;
+						conversation.live.startActivity();
 					}
+					conversation.turns.setListening(true);
+					if (conversation.mode === 'push_to_talk') conversation.turns.setUserSpeaking(true);
 					clientWs.send(JSON.stringify({
 						type: 'mic_status',
-						started: true
+						started: true,
+						mode: conversation.mode
 					}));
-					console.log('Microphone started');
+					log.info('Microphone started', { mode: conversation.mode });
 					break;
 					
+				case 'audio_data':
+					handleAudioMessage(conversation, message);
+					break;
+
 				case 'stop_mic':
 					if (conversation.isSpeaking) {
 						conversation.isSpeaking = false;
 
-						if (conversation.audioBuffer.length > 0) {
-							console.log('Processing audio data...');
-
-							if (conversation.abortController) {
-								try { conversation.abortController.abort(); } catch (e) {}
-							}
-							conversation.abortController = new AbortController();
-
-							const userText = await processAudioToText(conversation.audioBuffer, {
-								conversationHistory: conversation.conversationHistory,
-								languageCode: conversation.languageCode,
-								abortController: conversation.abortController
-							});
-
-							conversation.conversationHistory.push({
-								role: 'user',
-								text: userText
-							});
-							clientWs.send(JSON.stringify({
-								type: 'user_message',
-								text: userText
-							}));
-
-							console.log('Getting AI response...');
-							const aiResponse = await callGeminiAPI(userText, conversation.conversationHistory, { abortController: conversation.abortController, uiLanguage: conversation.languageCode });
-
-							conversation.conversationHistory.push({
-								role: 'model',
-								text: aiResponse
-							});
-
-							clientWs.send(JSON.stringify({
-								type: 'ai_response',
-								text: aiResponse
-							}));
-							
-							console.log('AI response sent');
+						if (conversation.vad) {
+							const vad = conversation.vad;
+							conversation.vad = null;
+							vad.flush();
+							vad.removeAllListeners();
+						} else if (conversation.live) {
+							conversation.turns.setPhase(conversation.liveTurn.turn, 'thinking');
+							conversation.liveTurn.awaiting = true;
+							conversation.live.endActivity();
+						} else if (conversation.audioBuffer.length > 0) {
+							const audio = Buffer.concat(conversation.audioBuffer);
+							conversation.audioBuffer = [];
+							// The turn starts synchronously, so the state goes straight to transcribing.
+							const voiceTurn = runVoiceTurn(clientWs, conversation, audio);
+							conversation.turns.setListening(false);
+							await voiceTurn;
 						}
-						
+						conversation.turns.setListening(false);
+						conversation.turns.setUserSpeaking(false);
+
 						clientWs.send(JSON.stringify({
 							type: 'mic_status',
 							started: false
 						}));
 					}
 					break;
+
+				case 'set_language':
+					setLanguage(clientWs, conversation, message.language, message.hinglishScript || conversation.hinglishScript);
+					break;
 					
+				case 'playback_state':
+					setPlayback(conversation, message.speaking);
+					break;
+
 				case 'interrupt':
-					conversation.isSpeaking = false;
-					conversation.audioBuffer = [];
-					if (conversation.abortController) {
-						try { conversation.abortController.abort(); } catch (e) {}
+					// A late interrupt for a reply that already finished must not cut the next one.
+					if (message.turnId && message.turnId !== conversation.turnId) {
+						clientWs.send(JSON.stringify({ type: 'interrupt_ack', interrupted: false, turnId: message.turnId }));
+						break;
 					}
+					interruptsMetric.inc({ kind: 'manual' });
+					conversation.audioBuffer = [];
+					conversation.turns.clearQueue();
+					conversation.turns.cancel();
 					clientWs.send(JSON.stringify({
 						type: 'interrupt_ack',
-						interrupted: true
+						interrupted: true,
+						...(conversation.turnId ? { turnId: conversation.turnId } : {})
 					}));
-					clientWs.send(JSON.stringify({
-						type: 'mic_status',
-						started: false
-					}));
-					console.log('Conversation interrupted');
-					break;
-					
-				case 'audio_data':
-					if (conversation.isSpeaking && message.audio && Array.isArray(message.audio)) {
-						conversation.audioBuffer.push(...message.audio);
+					if (conversation.vad) {
+						conversation.vad.reset();
+					} else {
+						conversation.isSpeaking = false;
+						conversation.turns.setListening(false);
+						conversation.turns.setUserSpeaking(false);
+						clientWs.send(JSON.stringify({
+							type: 'mic_status',
+							started: false
+						}));
 					}
+					log.info('Conversation interrupted');
 					break;
 					
 				case 'text_message':
-					if (message.text) {
-						console.log('Processing text message:', message.text);
-						conversation.conversationHistory.push({
-							role: 'user',
-							text: message.text
-						});
-
-						clientWs.send(JSON.stringify({
-							type: 'user_message',
-							text: message.text
-						}));
-						
-						console.log('Calling Gemini API for text message...');
-						if (conversation.abortController) {
-							try { conversation.abortController.abort(); } catch (e) {}
-						}
-						conversation.abortController = new AbortController();
-						const response = await callGeminiAPI(message.text, conversation.conversationHistory, { abortController: conversation.abortController, uiLanguage: conversation.languageCode });
-						
-						conversation.conversationHistory.push({
-							role: 'model',
-							text: response
+					if (message.text.length > MAX_TEXT_LENGTH) {
+						rejectMessage(clientWs, clientId, 'limit_exceeded', 'text_length');
+						break;
+					}
+					if (!allowModelCall(clientWs, conversation)) break;
+					if (!conversation.turns.whenIdle(() => runTextTurn(clientWs, conversation, message.text, message.turnId))) {
+						log.info('Turn queue full, rejecting text message');
+						sendToClient(clientWs, {
+							type: 'error',
+							code: 'busy',
+							message: 'Rev is still answering your earlier messages. Please wait for the reply and try again.',
+							retryable: true,
+							...(message.turnId ? { turnId: message.turnId } : {})
 						});
-						clientWs.send(JSON.stringify({
-							type: 'ai_response',
-							text: response
-						}));
-						
-						console.log('Text message response sent');
 					}
 					break;
 					
-				default:
-					console.log('Unknown message type:', message.type);
+				case 'submit_lead':
+					await submitLead(clientWs, conversation, message);
+					break;
+
+				case 'clear_session':
+					conversation.turns.clearQueue();
+					conversation.turns.cancel();
+					conversation.conversationHistory = [];
+					conversation.memory.reset();
+					conversation.guard.reset();
+					if (conversation.live) {
+						resetLiveTurn(conversation);
+						reconfigureLive(conversation);
+					}
+					await sessionStore.delete(clientId);
+					clientWs.send(JSON.stringify({ type: 'session_cleared' }));
+					sendGreeting(clientWs, conversation);
+					log.info('Session cleared');
+					break;
 			}
 		} catch (error) {
-			console.error('Error parsing client message:', error);
+			log.error('Error handling client message', { type: message.type, error });
 			clientWs.send(JSON.stringify({
 				type: 'error',
+				code: 'internal_error',
 				message: `Server error: ${error.message}`
 			}));
 		}
 	});
 
 	clientWs.on('close', (code, reason) => {
-		console.log('Client WebSocket closed:', code, reason);
+		log.info('Client WebSocket closed', { code, reason: reason.toString() });
+		messageLimiter.delete(clientId);
+		const conversation = activeConversations.get(clientId);
+		if (!conversation || conversation.clientWs !== clientWs) return;
+		releaseConversation(conversation);
+		saveSession(conversation);
 		activeConversations.delete(clientId);
 	});
 
 	clientWs.on('error', (error) => {
-		console.error('Client WebSocket error:', error);
+		log.error('Client WebSocket error', { error });
+	});
+
+	clientWs.resume();
+});
+
+// Callers hear the greeting as a turn of its own, so they can talk over it.
+async function greetCaller(call, conversation) {
+	const language = conversation.language === 'auto' ? 'en' : conversation.language;
+	const text = greetingFor(personaFor(conversation), language);
+	const turn = conversation.turns.begin({ id: `${conversation.connectionId}.greeting`, source: 'greeting', phase: 'speaking' });
+	Object.assign(turn, { log: conversation.log, language });
+	try {
+		const speech = createSpeechQueue(call, conversation, turn);
+		if (!speech) {
+			conversation.log.warn('No server speech for the greeting, the caller will hear nothing until they speak');
+			return;
+		}
+		speech.push(text);
+		const spoken = await speech.finish();
+		if (turn.signal.aborted) return;
+		sendToClient(call, { type: 'ai_response_done', text, turnId: turn.id, ...speechResult(spoken) });
+	} finally {
+		conversation.turns.end(turn);
+	}
+}
+
+// Phone calls from a cloud phone provider's media stream (see telephony.js).
+// Each call is a fresh hands-free conversation with barge-in; the caller's
+// 8 kHz audio takes the same path as the widget's mic and replies go back
+// down the line as μ-law.
+telephonyWss.on('connection', (providerWs, req) => {
+	const connectionId = crypto.randomBytes(6).toString('hex');
+	const connectionLog = logger.child({ connectionId, siteId: TELEPHONY_SITE });
+	const call = new MediaStreamCall(providerWs, { log: connectionLog });
+	let conversation = null;
+	let seq = 0;
+	connectionLog.info('Telephony stream connected', { ip: clientAddress(req) });
+
+	const startTimer = setTimeout(() => {
+		if (!conversation) {
+			connectionLog.warn('No start event received, closing stream');
+			providerWs.close(1008, 'Handshake timeout');
+		}
+	}, HELLO_TIMEOUT_MS);
+
+	call.once('start', ({ streamSid, callSid, customParameters }) => {
+		clearTimeout(startTimer);
+		if (!req.telephonyAuthorized && !telephonyTokenMatches(customParameters.token)) {
+			connectionLog.info('Rejected telephony stream', { reason: 'token', streamSid });
+			providerWs.close(1008, 'Unauthorized');
+			return;
+		}
+		if (!provider.configured || !SPEECH_SOURCE) {
+			connectionLog.error('Cannot answer calls without a configured model and server speech', { provider: provider.name, speech: SPEECH_SOURCE });
+			providerWs.close(1011, 'Server misconfigured');
+			return;
+		}
+		const id = crypto.randomUUID();
+		const dealerParam = String(customParameters.dealer || '').toUpperCase();
+		const tenantParam = String(customParameters.tenant || '').toLowerCase();
+		const log = connectionLog.child({ sessionId: id, callSid });
+		conversation = createConversation({
+			id,
+			channel: 'phone',
+			connectionId,
+			clientWs: call,
+			// Per-IP limits would lump every call from the provider together.
+			ip: `call:${callSid || streamSid}`,
+			log,
+			siteId: TELEPHONY_SITE,
+			dealerId: /^[A-Z0-9-]{1,20}$/.test(dealerParam) ? dealerParam : null,
+			tenantId: TENANT_ID.test(tenantParam) && personaStore.hasTenant(tenantParam) ? tenantParam : null
+		});
+		const language = normalizeLanguage(customParameters.language);
+		if (language) conversation.language = language;
+		conversation.protocol = { version: protocol.PROTOCOL_VERSION, capabilities: { binaryAudio: false, streaming: false, serverTts: true }, client: 'telephony' };
+		conversation.speech = SPEECH_SOURCE;
+		conversation.isSpeaking = true;
+		conversation.mode = 'hands_free';
+		activeConversations.set(id, conversation);
+		callsMetric.inc();
+		log.info('Call started', { streamSid, language: conversation.language, dealerId: conversation.dealerId, tenantId: conversation.tenantId });
+
+		startHandsFree(call, conversation, {}, { enabled: true });
+		conversation.turns.setListening(true);
+		if (USE_LIVE) startLiveSession(id, call);
+		greetCaller(call, conversation).catch(error => log.error('Greeting failed', { error }));
+	});
+
+	call.on('audio', (pcm) => {
+		if (!conversation) return;
+		conversation.lastActivityAt = new Date().toISOString();
+		handleAudio(conversation, { seq: seq++, sampleRate: PHONE_SAMPLE_RATE, pcm });
+	});
+
+	call.on('playback', (playing) => {
+		if (conversation) setPlayback(conversation, playing);
+	});
+
+	call.on('dtmf', (digit) => {
+		(conversation ? conversation.log : connectionLog).info('Caller pressed a key', { digit });
+	});
+
+	call.on('stop', () => {
+		(conversation ? conversation.log : connectionLog).info('Call ended by the provider');
+		providerWs.close(1000, 'Call ended');
+	});
+
+	providerWs.on('close', (code, reason) => {
+		clearTimeout(startTimer);
+		connectionLog.info('Telephony stream closed', { code, reason: reason.toString() });
+		if (!conversation) return;
+		releaseConversation(conversation);
+		saveSession(conversation);
+		activeConversations.delete(conversation.id);
+	});
+
+	providerWs.on('error', (error) => {
+		connectionLog.error('Telephony stream error', { error });
 	});
 });
 
@@ -390,33 +2157,57 @@ const candidatePorts = Array.from({ length: 10 }, (_, i) => basePort + i);
 
 function attemptListen(ports) {
 	if (ports.length === 0) {
-		console.error('No available ports to bind the server.');
+		logger.error('No available ports to bind the server');
 		process.exit(1);
 	}
 	const p = ports[0];
 	server.once('error', (err) => {
 		if (err && err.code === 'EADDRINUSE') {
-			console.warn(`Port ${p} is in use. Trying next port...`);
+			logger.warn('Port is in use, trying the next one', { port: p });
 			return attemptListen(ports.slice(1));
 		}
-		console.error('Server failed to start:', err);
+		logger.error('Server failed to start', { error: err });
 		process.exit(1);
 	});
 	server.listen(p, () => {
-		console.log(`Server listening on http://localhost:${p}`);
-		console.log(`WebSocket available at ws://localhost:${p}/ws`);
-		if (!GOOGLE_API_KEY) {
-			console.log('⚠️  WARNING: GOOGLE_API_KEY not set. Frontend will work in demo mode.');
-		} else {
-			console.log('✅ Gemini REST API configured with API key');
-			console.log(`📡 Using model: ${GEMINI_MODEL}`);
-			console.log('🔗 API endpoint: generativelanguage.googleapis.com/v1beta/models');
-			console.log('🎤 Voice chat with interrupt functionality ready!');
-			console.log('🔑 API Key (first 10 chars):', GOOGLE_API_KEY.substring(0, 10) + '...');
+		const endpoint = USE_LIVE ? GEMINI_LIVE_URL : provider.baseUrl;
+		logger.info('Server listening', {
+			url: `http://localhost:${p}`,
+			websocket: `ws://localhost:${p}/ws`,
+			telephony: `ws://localhost:${p}${TELEPHONY_PATH}`,
+			provider: provider.name,
+			model: provider.model,
+			live: USE_LIVE,
+			endpoint: endpoint ? new URL(endpoint).host : null,
+			speech: SPEECH_SOURCE,
+			embedSites: embedSites.map(site => site.id),
+			logLevel: logger.level,
+			logPayloads: logger.payloads
+		});
+		if (!SESSION_SECRET) {
+			logger.warn('SESSION_SECRET not set. Session tokens will not survive a restart.');
+		}
+		if (!AUTH_SECRET) {
+			logger.warn('AUTH_SECRET not set. Access tokens will not survive a restart.');
+		}
+		if (!CRM_WEBHOOK_URL) {
+			logger.warn('CRM_WEBHOOK_URL not set. Leads are kept in the outbox until it is.');
+		}
+		if (!provider.configured) {
+			logger.warn('No API key for the LLM provider. Frontend will work in demo mode.', { provider: provider.name });
 		}
 	});
 }
 
+if (provider.configured && !USE_LIVE) {
+	health.start();
+}
+crmOutbox.start(CRM_POLL_MS);
+
+knowledgeBase.load()
+	.then(stats => logger.info('Knowledge base loaded', { version: stats.version, documents: stats.documents }))
+	.catch(error => logger.error('Failed to load knowledge base', { error }));
+
 attemptListen(candidatePorts);
 
 
@@ -0,0 +1,147 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const STOPWORDS = new Set([
+	'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how', 'i', 'in', 'is',
+	'it', 'its', 'me', 'my', 'of', 'on', 'or', 'the', 'to', 'what', 'which', 'with', 'you', 'your',
+	'hai', 'ka', 'ki', 'ke', 'kya', 'mein', 'aur', 'se'
+]);
+
+const BM25_K1 = 1.5;
+const BM25_B = 0.75;
+
+// Crude suffix stripping so "charging", "charges" and "charge" match.
+function stem(token) {
+	if (token.length <= 3 || !/^[a-z]+$/.test(token)) return token;
+	return token.replace(/(ing|ed|es|s)$/, '').replace(/e$/, '');
+}
+
+function tokenize(text) {
+	const tokens = String(text || '').toLowerCase().normalize('NFKC').match(/[\p{L}\p{N}]+/gu) || [];
+	return tokens.filter(token => !STOPWORDS.has(token)).map(stem);
+}
+
+// Model names as users and the model write them: "RV400 BRZ", "rv 400 brz"
+// and "RV1 Plus" match the catalogue names.
+function normalizeModelName(name) {
+	return String(name || '').toLowerCase().replace(/\s*plus\b/, '+').replace(/[^a-z0-9+]/g, '');
+}
+
+function slugify(text) {
+	return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function parseMarkdown(content, source) {
+	const base = path.basename(source, path.extname(source));
+	return content.split(/^## /m).slice(1).map(section => {
+		const newline = section.indexOf('\n');
+		const title = (newline === -1 ? section : section.slice(0, newline)).trim();
+		const text = newline === -1 ? '' : section.slice(newline + 1).trim();
+		return { id: `${base}-${slugify(title)}`, title, text, source };
+	});
+}
+
+function parseJson(content, source) {
+	const data = JSON.parse(content);
+	const documents = Array.isArray(data) ? data : data.documents;
+	if (!Array.isArray(documents)) {
+		throw new Error(`${source}: expected an array or a "documents" array`);
+	}
+	return documents.map(doc => ({ ...doc, source }));
+}
+
+async function readKnowledgeDir(dir) {
+	let manifest = {};
+	try {
+		manifest = JSON.parse(await fs.readFile(path.join(dir, 'manifest.json'), 'utf8'));
+	} catch (error) {
+		if (error.code !== 'ENOENT') throw new Error(`manifest.json: ${error.message}`);
+	}
+	const files = Array.isArray(manifest.files)
+		? manifest.files
+		: (await fs.readdir(dir)).filter(file => /\.(json|md)$/.test(file) && file !== 'manifest.json').sort();
+
+	const documents = [];
+	const seen = new Set();
+	for (const file of files) {
+		const content = await fs.readFile(path.join(dir, file), 'utf8');
+		const parsed = file.endsWith('.md') ? parseMarkdown(content, file) : parseJson(content, file);
+		parsed.forEach(doc => {
+			if (typeof doc.id !== 'string' || !doc.id || typeof doc.text !== 'string' || !doc.text.trim()) {
+				throw new Error(`${file}: every entry needs a non-empty "id" and "text"`);
+			}
+			if (seen.has(doc.id)) {
+				throw new Error(`${file}: duplicate id "${doc.id}"`);
+			}
+			seen.add(doc.id);
+			documents.push({ title: doc.id, tags: [], ...doc });
+		});
+	}
+	return { version: manifest.version || 'unversioned', documents };
+}
+
+function buildIndex(documents) {
+	const df = new Map();
+	const entries = documents.map(doc => {
+		const tokens = tokenize(`${doc.title} ${doc.text} ${(doc.tags || []).join(' ')}`);
+		const tf = new Map();
+		tokens.forEach(token => tf.set(token, (tf.get(token) || 0) + 1));
+		tf.forEach((_, token) => df.set(token, (df.get(token) || 0) + 1));
+		return { doc, tf, length: tokens.length };
+	});
+	const totalLength = entries.reduce((sum, entry) => sum + entry.length, 0);
+	return { entries, df, avgLength: entries.length ? totalLength / entries.length : 0 };
+}
+
+// In-process BM25 retriever over the versioned files in `knowledge/`.
+class KnowledgeBase {
+	constructor(dir) {
+		this.dir = dir;
+		this.version = null;
+		this.loadedAt = null;
+		this.documents = [];
+		this.index = buildIndex([]);
+	}
+
+	async load() {
+		const { version, documents } = await readKnowledgeDir(this.dir);
+		this.index = buildIndex(documents);
+		this.documents = documents;
+		this.version = version;
+		this.loadedAt = new Date().toISOString();
+		return this.stats();
+	}
+
+	stats() {
+		return { version: this.version, documents: this.documents.length, loadedAt: this.loadedAt };
+	}
+
+	getDocument(id) {
+		return this.documents.find(doc => doc.id === id) || null;
+	}
+
+	search(query, limit = 3) {
+		const terms = [...new Set(tokenize(query))];
+		const { entries, df, avgLength } = this.index;
+		if (terms.length === 0 || entries.length === 0) return [];
+
+		const total = entries.length;
+		return entries
+			.map(({ doc, tf, length }) => {
+				let score = 0;
+				terms.forEach(term => {
+					const freq = tf.get(term);
+					if (!freq) return;
+					const n = df.get(term);
+					const idf = Math.log(1 + (total - n + 0.5) / (n + 0.5));
+					score += idf * (freq * (BM25_K1 + 1)) / (freq + BM25_K1 * (1 - BM25_B + BM25_B * length / avgLength));
+				});
+				return { doc, score };
+			})
+			.filter(result => result.score > 0)
+			.sort((a, b) => b.score - a.score)
+			.slice(0, limit);
+	}
+}
+
+module.exports = { KnowledgeBase, tokenize, normalizeModelName };
@@ -0,0 +1,59 @@
+// Reply languages. `auto` follows the language of each user turn: the
+// transcriber's verdict for voice, the script for typed text.
+const LANGUAGES = {
+	en: { name: 'English', repeat: "Sorry, I didn't catch that. Could you repeat that?" },
+	hi: { name: 'Hindi', repeat: 'माफ़ कीजिए, मैं ठीक से सुन नहीं पाया। क्या आप दोबारा बोल सकते हैं?' },
+	hinglish: { name: 'Hinglish', repeat: 'Sorry, main theek se sun nahi paaya. Kya aap dobara bol sakte hain?' },
+	mr: { name: 'Marathi', repeat: 'माफ करा, मला नीट ऐकू आलं नाही. तुम्ही पुन्हा सांगाल का?' },
+	bn: { name: 'Bengali', repeat: 'দুঃখিত, আমি ঠিক শুনতে পাইনি। আপনি কি আবার বলবেন?' },
+	gu: { name: 'Gujarati', repeat: 'માફ કરશો, મને બરાબર સંભળાયું નહીં. શું તમે ફરીથી કહેશો?' },
+	pa: { name: 'Punjabi', repeat: 'ਮਾਫ਼ ਕਰਨਾ, ਮੈਨੂੰ ਠੀਕ ਤਰ੍ਹਾਂ ਸੁਣਾਈ ਨਹੀਂ ਦਿੱਤਾ। ਕੀ ਤੁਸੀਂ ਦੁਬਾਰਾ ਦੱਸ ਸਕਦੇ ਹੋ?' },
+	ta: { name: 'Tamil', repeat: 'மன்னிக்கவும், எனக்கு சரியாகக் கேட்கவில்லை. மீண்டும் சொல்ல முடியுமா?' },
+	te: { name: 'Telugu', repeat: 'క్షమించండి, నాకు సరిగ్గా వినిపించలేదు. మళ్ళీ చెప్పగలరా?' },
+	kn: { name: 'Kannada', repeat: 'ಕ್ಷಮಿಸಿ, ನನಗೆ ಸರಿಯಾಗಿ ಕೇಳಿಸಲಿಲ್ಲ. ಮತ್ತೊಮ್ಮೆ ಹೇಳುವಿರಾ?' },
+	ml: { name: 'Malayalam', repeat: 'ക്ഷമിക്കണം, എനിക്ക് ശരിയായി കേട്ടില്ല. ഒന്നുകൂടി പറയാമോ?' }
+};
+
+// Unicode blocks of the Indic scripts; Devanagari is read as Hindi.
+const SCRIPT_RANGES = [
+	[/[ऀ-ॿ]/g, 'hi'],
+	[/[ঀ-৿]/g, 'bn'],
+	[/[਀-੿]/g, 'pa'],
+	[/[઀-૿]/g, 'gu'],
+	[/[஀-௿]/g, 'ta'],
+	[/[ఀ-౿]/g, 'te'],
+	[/[ಀ-೿]/g, 'kn'],
+	[/[ഀ-ൿ]/g, 'ml']
+];
+
+// Maps codes and locales ('hi', 'hi-IN', 'Hinglish') to a key of LANGUAGES,
+// or null when the language is not supported.
+function normalizeLanguage(code) {
+	if (typeof code !== 'string') return null;
+	const value = code.trim().toLowerCase();
+	if (LANGUAGES[value]) return value;
+	const base = value.split(/[-_]/)[0];
+	return LANGUAGES[base] ? base : null;
+}
+
+// The Indic language a typed message is written in, or null for Latin text,
+// which could be English, Hinglish or any other romanised language.
+function detectTextLanguage(text) {
+	let best = null;
+	let bestCount = 0;
+	SCRIPT_RANGES.forEach(([range, code]) => {
+		const count = (text.match(range) || []).length;
+		if (count > bestCount) {
+			best = code;
+			bestCount = count;
+		}
+	});
+	return best;
+}
+
+function repeatPrompt(language, hinglishScript) {
+	if (language === 'hinglish' && hinglishScript === 'devanagari') return LANGUAGES.hi.repeat;
+	return (LANGUAGES[language] || LANGUAGES.en).repeat;
+}
+
+module.exports = { LANGUAGES, normalizeLanguage, detectTextLanguage, repeatPrompt };
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { normalizeModelName } = require('./knowledge');
+
+// Test-ride leads: contact details Rev collects, in conversation or through
+// the lead form, once the user has agreed to be contacted. Each new lead is
+// handed to the CRM outbox (crm-outbox.js).
+class LeadError extends Error {
+	// `value` holds the fields that were usable.
+	constructor(message, { errors = [], invalid = [], missing = [], value = {} } = {}) {
+		super(message);
+		this.value = value;
+		this.errors = errors;
+		this.invalid = invalid;
+		this.missing = missing;
+	}
+}
+
+// Returns { value, errors, invalid, missing }: `missing` fields were not
+// given, `invalid` ones were given but unusable. `models` are the known model
+// names; the model is optional.
+function normalizeLead(input = {}, { models = [] } = {}) {
+	const value = {};
+	const errors = [];
+	const invalid = [];
+	const missing = [];
+	const fail = (field, message) => {
+		errors.push({ path: field, message });
+		invalid.push(field);
+	};
+	const text = field => String(input[field] === undefined || input[field] === null ? '' : input[field]).trim().replace(/\s+/g, ' ');
+
+	const name = text('name');
+	if (!name) missing.push('name');
+	else if (name.length > 100 || !/\p{L}/u.test(name) || /\d/.test(name)) fail('name', 'must be a name of at most 100 characters');
+	else value.name = name;
+
+	const phone = text('phone').replace(/[\s()-]/g, '').replace(/^(\+91|0091|0)/, '');
+	if (!phone) missing.push('phone');
+	else if (!/^[6-9]\d{9}$/.test(phone)) fail('phone', 'must be a 10-digit Indian mobile number');
+	else value.phone = phone;
+
+	const city = text('city');
+	if (!city) missing.push('city');
+	else if (city.length > 60 || !/\p{L}/u.test(city)) fail('city', 'must be a city name of at most 60 characters');
+	else value.city = city;
+
+	const model = text('model');
+	if (model) {
+		const known = models.find(candidate => normalizeModelName(candidate) === normalizeModelName(model));
+		if (known) value.model = known;
+		else fail('model', `must be one of ${models.join(', ')}`);
+	}
+	missing.forEach(field => errors.push({ path: field, message: 'is required' }));
+	return { value, errors, invalid, missing };
+}
+
+// Stores implement `save(lead)` and `list()`; both return promises.
+class MemoryLeadStore {
+	constructor() {
+		this.leads = [];
+	}
+
+	async save(lead) {
+		this.leads.push(lead);
+		return lead;
+	}
+
+	async list() {
+		return this.leads.slice();
+	}
+}
+
+// Appends one JSON line per lead, like the booking store.
+class FileLeadStore {
+	constructor(filePath) {
+		this.filePath = filePath;
+	}
+
+	async save(lead) {
+		await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+		await fs.appendFile(this.filePath, JSON.stringify(lead) + '\n', 'utf8');
+		return lead;
+	}
+
+	async list() {
+		try {
+			const content = await fs.readFile(this.filePath, 'utf8');
+			return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+		} catch (error) {
+			if (error.code === 'ENOENT') return [];
+			throw error;
+		}
+	}
+}
+
+function createLeadStore({ type = 'file', filePath } = {}) {
+	switch (type) {
+		case 'memory':
+			return new MemoryLeadStore();
+		case 'file':
+			return new FileLeadStore(filePath);
+		default:
+			throw new Error(`Unknown lead store: ${type}`);
+	}
+}
+
+class LeadService {
+	// `models()` returns the known model names; `outbox` gets each new lead.
+	constructor({ store, outbox, models = () => [], onCapture = () => {} }) {
+		this.store = store;
+		this.outbox = outbox;
+		this.models = models;
+		this.onCapture = onCapture;
+	}
+
+	// `consent` is { method, text? }; without it nothing is stored. `captured`
+	// is the session's Map of phone number to lead: the same number twice in
+	// one session returns the first lead.
+	async capture(input, { consent, source, sessionId = null, siteId = null, dealerId = null, tenantId = null, language = null, captured = null } = {}) {
+		if (!consent) throw new LeadError('The user has not agreed to be contacted', { missing: ['consent'], errors: [{ path: 'consent', message: 'is required' }] });
+		const { value, errors, invalid, missing } = normalizeLead(input, { models: this.models() });
+		if (errors.length) throw new LeadError(`Some lead details are missing or invalid: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`, { errors, invalid, missing, value });
+
+		if (captured && captured.has(value.phone)) return { lead: captured.get(value.phone), created: false };
+		const now = new Date().toISOString();
+		const lead = {
+			id: `LD-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+			name: value.name,
+			phone: value.phone,
+			city: value.city,
+			model: value.model || null,
+			source,
+			consent: { given: true, method: consent.method, text: consent.text ? String(consent.text).slice(0, 500) : null, at: now },
+			sessionId,
+			siteId,
+			dealerId,
+			tenantId,
+			language,
+			createdAt: now
+		};
+		if (captured) captured.set(lead.phone, lead);
+		try {
+			await this.store.save(lead);
+			await this.outbox.enqueue(lead);
+		} catch (error) {
+			if (captured) captured.delete(lead.phone);
+			throw error;
+		}
+		this.onCapture(lead);
+		return { lead, created: true };
+	}
+
+	list() {
+		return this.store.list();
+	}
+}
+
+module.exports = { LeadService, LeadError, normalizeLead, createLeadStore, MemoryLeadStore, FileLeadStore };
@@ -0,0 +1,61 @@
+// Sliding-window rate limiter: at most `limit` hits per `windowMs` for each key.
+// A limit of 0 or less disables it.
+class RateLimiter {
+	constructor({ limit, windowMs }) {
+		this.limit = limit;
+		this.windowMs = windowMs;
+		this.hits = new Map();
+	}
+
+	// Records a hit if it is allowed. Returns { allowed, retryAfterMs }.
+	hit(key, now = Date.now()) {
+		if (!(this.limit > 0)) return { allowed: true, retryAfterMs: 0 };
+		const recent = (this.hits.get(key) || []).filter(time => now - time < this.windowMs);
+		if (recent.length >= this.limit) {
+			this.hits.set(key, recent);
+			return { allowed: false, retryAfterMs: this.windowMs - (now - recent[0]) };
+		}
+		recent.push(now);
+		this.hits.set(key, recent);
+		return { allowed: true, retryAfterMs: 0 };
+	}
+
+	delete(key) {
+		this.hits.delete(key);
+	}
+
+	prune(now = Date.now()) {
+		this.hits.forEach((times, key) => {
+			if (!times.length || now - times[times.length - 1] >= this.windowMs) this.hits.delete(key);
+		});
+	}
+}
+
+// Counts open connections overall and per key (client IP).
+class ConnectionCounter {
+	constructor({ max, maxPerKey }) {
+		this.max = max;
+		this.maxPerKey = maxPerKey;
+		this.total = 0;
+		this.perKey = new Map();
+	}
+
+	acquire(key) {
+		const count = this.perKey.get(key) || 0;
+		if (this.max > 0 && this.total >= this.max) return false;
+		if (this.maxPerKey > 0 && count >= this.maxPerKey) return false;
+		this.total += 1;
+		this.perKey.set(key, count + 1);
+		return true;
+	}
+
+	release(key) {
+		const count = this.perKey.get(key) || 0;
+		if (count <= 0) return;
+		this.total -= 1;
+		if (count === 1) this.perKey.delete(key);
+		else this.perKey.set(key, count - 1);
+	}
+}
+
+module.exports = { RateLimiter, ConnectionCounter };
@@ -0,0 +1,262 @@
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+
+const DEFAULT_LIVE_URL = 'wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent';
+const INPUT_MIME_TYPE = 'audio/pcm;rate=16000';
+
+// One upstream BidiGenerateContent session per client connection. Emits
+// 'ready', 'text', 'audio', 'input_transcription', 'tool_call', 'usage',
+// 'turn_complete', 'interrupted', 'reconnecting', 'error' and 'close'.
+// `systemInstruction` and `history` may be functions; they are read again on
+// every (re)connect, so a reconnect picks up the conversation as it is now.
+class LiveSession extends EventEmitter {
+	constructor({
+		url = DEFAULT_LIVE_URL,
+		apiKey,
+		model,
+		systemInstruction = '',
+		responseModalities = ['TEXT'],
+		history = [],
+		functionDeclarations = [],
+		maxReconnects = 3,
+		reconnectDelayMs = 500
+	} = {}) {
+		super();
+		this.url = url;
+		this.apiKey = apiKey;
+		this.model = model;
+		this.systemInstruction = systemInstruction;
+		this.responseModalities = responseModalities;
+		this.history = history;
+		this.functionDeclarations = functionDeclarations;
+		this.maxReconnects = maxReconnects;
+		this.reconnectDelayMs = reconnectDelayMs;
+
+		this.ws = null;
+		this.ready = false;
+		this.closed = false;
+		this.reconnectAttempts = 0;
+		this.reconnectTimer = null;
+		this.pending = [];
+	}
+
+	connect() {
+		this.closed = false;
+		return new Promise((resolve, reject) => {
+			const onReady = () => { cleanup(); resolve(); };
+			const onFail = (err) => { cleanup(); reject(err); };
+			const cleanup = () => {
+				this.off('ready', onReady);
+				this.off('close', onFail);
+			};
+			this.once('ready', onReady);
+			this.once('close', onFail);
+			this._open();
+		});
+	}
+
+	_open() {
+		const target = new URL(this.url);
+		if (this.apiKey) target.searchParams.set('key', this.apiKey);
+		const ws = new WebSocket(target.toString());
+		this.ws = ws;
+		this.ready = false;
+
+		ws.on('open', () => {
+			this._sendRaw({ setup: this._buildSetup() });
+		});
+
+		ws.on('message', (data) => {
+			let message;
+			try {
+				message = JSON.parse(data.toString());
+			} catch (e) {
+				this.emit('error', new Error('Invalid message from Live API'));
+				return;
+			}
+			this._handleMessage(message);
+		});
+
+		ws.on('error', (error) => {
+			this.emit('error', error);
+		});
+
+		ws.on('close', (code, reason) => {
+			if (this.ws !== ws) return;
+			this.ws = null;
+			this.ready = false;
+			if (this.closed) return;
+			this._scheduleReconnect(code, reason ? reason.toString() : '');
+		});
+	}
+
+	_buildSetup() {
+		const setup = {
+			model: this.model.startsWith('models/') ? this.model : `models/${this.model}`,
+			generationConfig: { responseModalities: this.responseModalities },
+			realtimeInputConfig: { automaticActivityDetection: { disabled: true } },
+			inputAudioTranscription: {}
+		};
+		const systemInstruction = typeof this.systemInstruction === 'function' ? this.systemInstruction() : this.systemInstruction;
+		if (systemInstruction) {
+			setup.systemInstruction = { parts: [{ text: systemInstruction }] };
+		}
+		if (this.responseModalities.includes('AUDIO')) {
+			setup.outputAudioTranscription = {};
+		}
+		if (this.functionDeclarations.length) {
+			setup.tools = [{ functionDeclarations: this.functionDeclarations }];
+		}
+		return setup;
+	}
+
+	_handleMessage(message) {
+		if (message.setupComplete) {
+			this.ready = true;
+			this.reconnectAttempts = 0;
+			this._seedHistory();
+			const queued = this.pending;
+			this.pending = [];
+			queued.forEach(payload => this._sendRaw(payload));
+			this.emit('ready');
+			return;
+		}
+
+		if (message.goAway) {
+			this._reopen();
+			return;
+		}
+
+		if (message.usageMetadata) {
+			this.emit('usage', {
+				promptTokens: message.usageMetadata.promptTokenCount || 0,
+				outputTokens: message.usageMetadata.responseTokenCount || 0
+			});
+		}
+
+		if (message.toolCall && Array.isArray(message.toolCall.functionCalls)) {
+			this.emit('tool_call', message.toolCall.functionCalls);
+			return;
+		}
+
+		const content = message.serverContent;
+		if (!content) return;
+
+		if (content.inputTranscription && content.inputTranscription.text) {
+			this.emit('input_transcription', content.inputTranscription.text);
+		}
+		if (content.outputTranscription && content.outputTranscription.text) {
+			this.emit('text', content.outputTranscription.text);
+		}
+		const parts = (content.modelTurn && content.modelTurn.parts) || [];
+		parts.forEach(part => {
+			if (part.text) {
+				this.emit('text', part.text);
+			} else if (part.inlineData && part.inlineData.data) {
+				this.emit('audio', part.inlineData.data, part.inlineData.mimeType);
+			}
+		});
+		if (content.interrupted) {
+			this.emit('interrupted');
+		}
+		if (content.turnComplete) {
+			this.emit('turn_complete');
+		}
+	}
+
+	_seedHistory() {
+		const history = typeof this.history === 'function' ? this.history() : this.history;
+		const turns = history
+			.filter(msg => msg && msg.text)
+			.map(msg => ({ role: msg.role === 'model' ? 'model' : 'user', parts: [{ text: msg.text }] }));
+		if (turns.length === 0) return;
+		this._sendRaw({ clientContent: { turns, turnComplete: false } });
+	}
+
+	_scheduleReconnect(code, reason) {
+		if (this.reconnectAttempts >= this.maxReconnects) {
+			this.closed = true;
+			this.emit('close', new Error(`Live session closed: ${code} ${reason}`.trim()));
+			return;
+		}
+		const delay = this.reconnectDelayMs * Math.pow(2, this.reconnectAttempts);
+		this.reconnectAttempts += 1;
+		this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
+		this.reconnectTimer = setTimeout(() => {
+			this.reconnectTimer = null;
+			if (!this.closed) this._open();
+		}, delay);
+	}
+
+	_reopen() {
+		const ws = this.ws;
+		this.ws = null;
+		this.ready = false;
+		if (ws) {
+			try { ws.close(); } catch (e) {}
+		}
+		if (!this.closed) this._open();
+	}
+
+	_sendRaw(payload) {
+		if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+			this.ws.send(JSON.stringify(payload));
+		}
+	}
+
+	_send(payload) {
+		if (this.closed) return;
+		if (this.ready) {
+			this._sendRaw(payload);
+		} else {
+			this.pending.push(payload);
+		}
+	}
+
+	reconfigure({ systemInstruction, history } = {}) {
+		if (systemInstruction !== undefined) this.systemInstruction = systemInstruction;
+		if (history !== undefined) this.history = history;
+		this._reopen();
+	}
+
+	startActivity() {
+		this._send({ realtimeInput: { activityStart: {} } });
+	}
+
+	endActivity() {
+		this._send({ realtimeInput: { activityEnd: {} } });
+	}
+
+	sendAudio(pcm16) {
+		const buffer = Buffer.isBuffer(pcm16)
+			? pcm16
+			: Buffer.from(pcm16.buffer, pcm16.byteOffset, pcm16.byteLength);
+		this._send({ realtimeInput: { audio: { data: buffer.toString('base64'), mimeType: INPUT_MIME_TYPE } } });
+	}
+
+	sendToolResponse(functionResponses) {
+		this._send({ toolResponse: { functionResponses } });
+	}
+
+	sendText(text) {
+		this._send({ clientContent: { turns: [{ role: 'user', parts: [{ text }] }], turnComplete: true } });
+	}
+
+	close() {
+		this.closed = true;
+		this.pending = [];
+		if (this.reconnectTimer) {
+			clearTimeout(this.reconnectTimer);
+			this.reconnectTimer = null;
+		}
+		const ws = this.ws;
+		this.ws = null;
+		this.ready = false;
+		if (ws) {
+			try { ws.close(); } catch (e) {}
+		}
+		this.emit('close');
+	}
+}
+
+module.exports = { LiveSession, DEFAULT_LIVE_URL };
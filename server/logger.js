@@ -0,0 +1,90 @@
+// Structured JSON logger: one line per entry with time, level, msg, the
+// logger's bindings (connectionId, turnId, ...) and the entry's fields.
+// Everything is redacted before it is written.
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged.
+const SECRET_FIELDS = /^(api_?key|key|token|secret|password|authorization|cookie|session_?token|access_?token|site_?key)$/i;
+
+const PATTERNS = [
+	[/([?&](?:key|api_?key|token|access_token|session)=)[^&\s"']+/gi, `$1${REDACTED}`],
+	[/\bBearer\s+[\w.~+/-]+=*/gi, `Bearer ${REDACTED}`],
+	[/\bAIza[\w-]{30,}/g, REDACTED],
+	[/\bsk-[\w-]{16,}/g, REDACTED],
+	[/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, '[EMAIL]'],
+	[/\+\d{1,3}[\s-]?\d[\d\s-]{7,}\d\b/g, '[PHONE]'],
+	[/\b0?[6-9]\d{4}[\s-]?\d{5}\b/g, '[PHONE]']
+];
+
+function redactString(value) {
+	return PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+}
+
+function serializeError(error) {
+	const out = { name: error.name, message: error.message };
+	if (error.code !== undefined) out.code = error.code;
+	if (error.status !== undefined) out.status = error.status;
+	if (error.stack) out.stack = error.stack;
+	return out;
+}
+
+// Deep copy with secret fields dropped and keys, emails and phone numbers
+// masked in every string.
+function redact(value, depth = 0) {
+	if (typeof value === 'string') return redactString(value);
+	if (value instanceof Error) return redact(serializeError(value), depth);
+	if (!value || typeof value !== 'object') return value;
+	if (depth > 6) return '[Object]';
+	if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+	if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+	const out = {};
+	Object.keys(value).forEach((key) => {
+		out[key] = SECRET_FIELDS.test(key) ? REDACTED : redact(value[key], depth + 1);
+	});
+	return out;
+}
+
+class Logger {
+	constructor({ level = 'info', payloads = false, bindings = {}, write = line => process.stdout.write(`${line}\n`) } = {}) {
+		this.level = LEVELS[level] !== undefined ? level : 'info';
+		this.payloads = payloads;
+		this.bindings = bindings;
+		this.write = write;
+	}
+
+	child(bindings) {
+		return new Logger({ level: this.level, payloads: this.payloads, bindings: { ...this.bindings, ...bindings }, write: this.write });
+	}
+
+	enabled(level) {
+		return LEVELS[level] <= LEVELS[this.level];
+	}
+
+	error(msg, fields) { this._log('error', msg, fields); }
+	warn(msg, fields) { this._log('warn', msg, fields); }
+	info(msg, fields) { this._log('info', msg, fields); }
+	debug(msg, fields) { this._log('debug', msg, fields); }
+
+	// Conversation content (prompts, transcripts, replies, tool arguments).
+	// Only written in payload mode (LOG_PAYLOADS), whatever the level.
+	payload(msg, fields) {
+		if (this.payloads) this._write('debug', msg, fields);
+	}
+
+	_log(level, msg, fields) {
+		if (this.enabled(level)) this._write(level, msg, fields);
+	}
+
+	_write(level, msg, fields = {}) {
+		const entry = redact({ ...this.bindings, ...(fields instanceof Error ? { error: fields } : fields) });
+		this.write(JSON.stringify({ time: new Date().toISOString(), level, msg: redactString(String(msg)), ...entry }));
+	}
+}
+
+function createLogger(options) {
+	return new Logger(options);
+}
+
+module.exports = { createLogger, Logger, redact, LEVELS };
@@ -0,0 +1,200 @@
+// What the model sees of a conversation: the newest messages that fit in
+// `budget` tokens, a running summary of the older ones, and slots the user
+// mentioned (bike model, city, pincode, budget) pinned so they are never
+// dropped. History itself stays complete for session replay; the memory
+// only tracks how much of it the summary covers.
+const SLOT_LABELS = {
+	model: 'model of interest',
+	city: 'city',
+	pincode: 'pincode',
+	budget: 'budget'
+};
+
+const BUDGET_CONTEXT = /budget|afford|under|below|within|up ?to|max|around|spend|बजट/i;
+const AMOUNT_WITH_UNIT = /(\d[\d,]*(?:\.\d+)?)\s*(lakhs?|lacs?|k|thousand)\b/i;
+const AMOUNT_WITH_CURRENCY = /(?:₹|\brs\.?|\binr)\s*(\d[\d,]*(?:\.\d+)?)/i;
+const UNIT_MULTIPLIERS = { lakh: 100000, lakhs: 100000, lac: 100000, lacs: 100000, k: 1000, thousand: 1000 };
+const PINCODE = /(?<![\d,.])[1-8]\d{5}(?![\d,.])/;
+
+// Roughly four characters per token for Latin text; Indic scripts tokenize
+// more densely.
+function estimateTokens(text = '') {
+	const ascii = text.replace(/[^\x00-\x7f]/g, '').length;
+	return Math.ceil(ascii / 4 + (text.length - ascii) / 2);
+}
+
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "RV1+" also matches "rv 1+", "RV400 BRZ" also "rv400brz".
+function namePattern(name) {
+	const parts = name.toLowerCase().match(/[a-z]+|\d+|[^a-z\d\s]+/g) || [];
+	return new RegExp(`(?<![a-z0-9])${parts.map(escapeRegExp).join('\\s*')}(?![a-z0-9])`, 'gi');
+}
+
+// The name mentioned last wins; at the same position the longer one does.
+function lastMention(text, names) {
+	let best = null;
+	names.forEach((name) => {
+		for (const match of text.matchAll(namePattern(name))) {
+			if (!best || match.index > best.index || (match.index === best.index && name.length > best.name.length)) {
+				best = { name, index: match.index };
+			}
+		}
+	});
+	return best ? best.name : null;
+}
+
+function parseBudget(text) {
+	if (!BUDGET_CONTEXT.test(text)) return null;
+	const withUnit = AMOUNT_WITH_UNIT.exec(text);
+	if (withUnit) {
+		const value = Number(withUnit[1].replace(/,/g, '')) * UNIT_MULTIPLIERS[withUnit[2].toLowerCase()];
+		return { value: Math.round(value), match: withUnit[0] };
+	}
+	const withCurrency = AMOUNT_WITH_CURRENCY.exec(text);
+	if (withCurrency) return { value: Math.round(Number(withCurrency[1].replace(/,/g, ''))), match: withCurrency[0] };
+	return null;
+}
+
+// Slots found in one user message. `models` and `cities` come from the
+// knowledge base.
+function extractSlots(text, { models = [], cities = [] } = {}) {
+	const slots = {};
+	const model = lastMention(text, models);
+	if (model) slots.model = model;
+	const city = lastMention(text, cities);
+	if (city) slots.city = city;
+	const budget = parseBudget(text);
+	if (budget && budget.value > 0) slots.budget = budget.value;
+	const pincode = PINCODE.exec(budget ? text.replace(budget.match, ' ') : text);
+	if (pincode) slots.pincode = pincode[0];
+	return slots;
+}
+
+function formatSlot(name, value) {
+	return name === 'budget' ? `₹${value.toLocaleString('en-IN')}` : value;
+}
+
+class ConversationMemory {
+	// `countTokens(text)` and `summarize(summary, messages)` are async;
+	// `state` is what toJSON() returned, e.g. from a stored session.
+	constructor({ budget = 2000, countTokens = async text => estimateTokens(text), summarize, vocabulary = () => ({}), state = {}, log = console } = {}) {
+		this.budget = budget;
+		this.countTokens = countTokens;
+		this.summarize = summarize;
+		this.vocabulary = vocabulary;
+		this.log = log;
+		this.summary = state.summary || '';
+		this.summarizedCount = state.summarizedCount || 0;
+		this.slots = { ...state.slots };
+		this.tokens = new WeakMap();
+		this.epoch = 0;
+		this.chain = Promise.resolve(false);
+	}
+
+	// The newest messages that fit in the budget, starting at a user message.
+	window(history) {
+		const start = Math.min(this.summarizedCount, history.length);
+		let index = history.length;
+		let used = 0;
+		while (index > start) {
+			const tokens = this._tokens(history[index - 1]);
+			if (used + tokens > this.budget) break;
+			used += tokens;
+			index -= 1;
+		}
+		while (index < history.length && history[index].role !== 'user') index += 1;
+		return history.slice(index);
+	}
+
+	// Slots and summary for the system prompt; empty until there is either.
+	note() {
+		const slots = Object.keys(SLOT_LABELS)
+			.filter(name => this.slots[name] !== undefined)
+			.map(name => `${SLOT_LABELS[name]}: ${formatSlot(name, this.slots[name])}`);
+		let note = slots.length ? ` What the user has told you so far (${slots.join('; ')}); keep using it unless they change it.` : '';
+		if (this.summary) note += `\n\nSummary of the earlier conversation:\n${this.summary}`;
+		return note;
+	}
+
+	observe(text) {
+		if (!text) return;
+		const found = extractSlots(text, this.vocabulary());
+		if (Object.keys(found).length === 0) return;
+		Object.assign(this.slots, found);
+		this.log.info('Pinned conversation slots', { slots: Object.keys(found) });
+	}
+
+	// Once the unsummarized messages outgrow the budget, folds the oldest into
+	// the summary, keeping about half the budget of recent messages verbatim.
+	// Runs one at a time; resolves to whether anything changed.
+	compact(history) {
+		this.chain = this.chain.then(() => this._compact(history)).catch((error) => {
+			this.log.warn('Could not summarize conversation history', { error });
+			return false;
+		});
+		return this.chain;
+	}
+
+	reset() {
+		this.epoch += 1;
+		this.summary = '';
+		this.summarizedCount = 0;
+		this.slots = {};
+	}
+
+	toJSON() {
+		return { summary: this.summary, summarizedCount: this.summarizedCount, slots: this.slots };
+	}
+
+	// For debugging: the stored state plus what the next prompt would include.
+	inspect(history) {
+		const window = this.window(history);
+		return {
+			...this.toJSON(),
+			budget: this.budget,
+			historyMessages: history.length,
+			windowMessages: window.length,
+			windowTokens: window.reduce((sum, msg) => sum + this._tokens(msg), 0),
+			note: this.note()
+		};
+	}
+
+	async _compact(history) {
+		const epoch = this.epoch;
+		const start = Math.min(this.summarizedCount, history.length);
+		const pending = history.slice(start);
+		await Promise.all(pending.filter(msg => !this.tokens.has(msg)).map(async (msg) => {
+			this.tokens.set(msg, await this.countTokens(msg.text));
+		}));
+		if (epoch !== this.epoch) return false;
+		const total = pending.reduce((sum, msg) => sum + this._tokens(msg), 0);
+		if (total <= this.budget || !this.summarize) return false;
+
+		let keep = history.length;
+		let kept = 0;
+		while (keep > start && kept + this._tokens(history[keep - 1]) <= this.budget / 2) {
+			kept += this._tokens(history[keep - 1]);
+			keep -= 1;
+		}
+		// Keep the whole exchange the cut would split.
+		while (keep > start && keep < history.length && history[keep].role !== 'user') keep -= 1;
+		if (keep <= start) return false;
+
+		const summary = await this.summarize(this.summary, history.slice(start, keep));
+		if (epoch !== this.epoch || !summary) return false;
+		this.summary = summary;
+		this.summarizedCount = keep;
+		const tokensKept = history.slice(keep).reduce((sum, msg) => sum + this._tokens(msg), 0);
+		this.log.info('Summarized conversation history', { messages: keep - start, summarizedCount: keep, tokensBefore: total, tokensKept });
+		return true;
+	}
+
+	_tokens(msg) {
+		return this.tokens.has(msg) ? this.tokens.get(msg) : estimateTokens(msg.text);
+	}
+}
+
+module.exports = { ConversationMemory, estimateTokens, extractSlots };
@@ -0,0 +1,157 @@
+// Minimal Prometheus metrics: counters, gauges and histograms with labels,
+// rendered in the text exposition format by Registry#render.
+
+function labelKey(labels) {
+	return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function formatLabels(labels) {
+	const pairs = Object.keys(labels).map(name => `${name}="${String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+	return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+	constructor(type, { name, help }) {
+		this.type = type;
+		this.name = name;
+		this.help = help;
+		this.series = new Map();
+	}
+
+	_series(labels, create) {
+		const key = labelKey(labels);
+		if (!this.series.has(key)) this.series.set(key, create());
+		return this.series.get(key);
+	}
+}
+
+class Counter extends Metric {
+	constructor(options) {
+		super('counter', options);
+	}
+
+	inc(labels = {}, value = 1) {
+		const series = this._series(labels, () => ({ labels, value: 0 }));
+		series.value += value;
+	}
+
+	lines() {
+		return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+	}
+
+	toJSON() {
+		return [...this.series.values()].map(({ labels, value }) => ({ labels, value }));
+	}
+}
+
+// `collect` returns [{ labels, value }] at scrape time, for values that are
+// read from elsewhere (like the number of open sessions).
+class Gauge extends Counter {
+	constructor({ collect, ...options }) {
+		super(options);
+		this.type = 'gauge';
+		this.collect = collect;
+	}
+
+	set(labels = {}, value) {
+		this._series(labels, () => ({ labels, value: 0 })).value = value;
+	}
+
+	lines() {
+		if (this.collect) this.collect().forEach(({ labels = {}, value }) => this.set(labels, value));
+		return super.lines();
+	}
+
+	toJSON() {
+		this.lines();
+		return super.toJSON();
+	}
+}
+
+class Histogram extends Metric {
+	constructor({ buckets = [0.1, 0.25, 0.5, 1, 2, 4, 8, 16, 32], ...options }) {
+		super('histogram', options);
+		this.buckets = buckets.slice().sort((a, b) => a - b);
+	}
+
+	observe(labels = {}, value) {
+		const series = this._series(labels, () => ({ labels, counts: this.buckets.map(() => 0), count: 0, sum: 0 }));
+		this.buckets.forEach((bound, i) => {
+			if (value <= bound) series.counts[i] += 1;
+		});
+		series.count += 1;
+		series.sum += value;
+	}
+
+	lines() {
+		const lines = [];
+		this.series.forEach(({ labels, counts, count, sum }) => {
+			this.buckets.forEach((bound, i) => {
+				lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+			});
+			lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+			lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+			lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+		});
+		return lines;
+	}
+
+	// Upper bucket bound below which `q` of the observations fall.
+	quantile(series, q) {
+		if (!series.count) return null;
+		const rank = q * series.count;
+		const index = series.counts.findIndex(count => count >= rank);
+		return index === -1 ? Infinity : this.buckets[index];
+	}
+
+	toJSON() {
+		return [...this.series.values()].map(series => ({
+			labels: series.labels,
+			count: series.count,
+			sum: series.sum,
+			p50: this.quantile(series, 0.5),
+			p95: this.quantile(series, 0.95)
+		}));
+	}
+}
+
+class Registry {
+	constructor() {
+		this.metrics = [];
+	}
+
+	_add(metric) {
+		this.metrics.push(metric);
+		return metric;
+	}
+
+	counter(options) {
+		return this._add(new Counter(options));
+	}
+
+	gauge(options) {
+		return this._add(new Gauge(options));
+	}
+
+	histogram(options) {
+		return this._add(new Histogram(options));
+	}
+
+	render() {
+		return `${this.metrics.map(metric => [
+			`# HELP ${metric.name} ${metric.help}`,
+			`# TYPE ${metric.name} ${metric.type}`,
+			...metric.lines()
+		].join('\n')).join('\n')}\n`;
+	}
+
+	toJSON() {
+		const out = {};
+		this.metrics.forEach((metric) => {
+			out[metric.name] = { type: metric.type, help: metric.help, values: metric.toJSON() };
+		});
+		return out;
+	}
+}
+
+module.exports = { Registry, Counter, Gauge, Histogram };
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { LANGUAGES } = require('./languages');
+
+// Rev's persona and prompt text, from a JSON file (config/persona.json).
+// Tenants (dealer sites, campaigns) override any field but `version`; the
+// `languages` and `greeting` maps are merged per key, everything else is
+// replaced. Templates fill in {topics}, {language} and {script}.
+const TEXT_FIELDS = ['persona', 'refusal', 'style', 'knowledge', 'tools', 'notes', 'privacy'];
+const MAP_FIELDS = ['languages', 'greeting'];
+const REQUIRED_FIELDS = ['persona', 'refusal', 'style', 'knowledge', 'tools'];
+const LANGUAGE_TEMPLATES = ['fixed', 'auto'];
+const TENANT_ID = /^[a-z0-9-]{1,40}$/;
+
+function isObject(value) {
+	return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkFields(fields, where, errors) {
+	Object.keys(fields).forEach((name) => {
+		const value = fields[name];
+		if (TEXT_FIELDS.includes(name)) {
+			if (typeof value !== 'string') errors.push(`${where}${name} must be a string`);
+		} else if (name === 'topics') {
+			if (!Array.isArray(value) || !value.length || value.some(topic => typeof topic !== 'string' || !topic.trim())) {
+				errors.push(`${where}topics must be a non-empty array of strings`);
+			}
+		} else if (MAP_FIELDS.includes(name)) {
+			if (!isObject(value)) {
+				errors.push(`${where}${name} must be an object`);
+				return;
+			}
+			Object.keys(value).forEach((key) => {
+				const known = LANGUAGES[key] || (name === 'languages' && LANGUAGE_TEMPLATES.includes(key));
+				if (!known) errors.push(`${where}${name}.${key} is not a known language`);
+				else if (typeof value[key] !== 'string' || !value[key].trim()) errors.push(`${where}${name}.${key} must be a non-empty string`);
+			});
+		} else if (!(where === '' && (name === 'version' || name === 'tenants'))) {
+			errors.push(`${where}${name} is not a known field`);
+		}
+	});
+}
+
+// Returns a list of problems; empty when the config is usable.
+function validatePersonaConfig(config) {
+	if (!isObject(config)) return ['the config must be an object'];
+	const errors = [];
+	checkFields(config, '', errors);
+	REQUIRED_FIELDS.concat('topics').forEach((name) => {
+		if (config[name] === undefined) errors.push(`${name} is required`);
+	});
+	LANGUAGE_TEMPLATES.forEach((key) => {
+		if (!isObject(config.languages) || !config.languages[key]) errors.push(`languages.${key} is required`);
+	});
+	if (!isObject(config.greeting) || !config.greeting.en) errors.push('greeting.en is required');
+	if (config.tenants !== undefined) {
+		if (!isObject(config.tenants)) {
+			errors.push('tenants must be an object');
+		} else {
+			Object.keys(config.tenants).forEach((id) => {
+				if (!TENANT_ID.test(id)) errors.push(`tenant id "${id}" must be lower-case letters, digits and dashes`);
+				if (!isObject(config.tenants[id])) errors.push(`tenants.${id} must be an object`);
+				else checkFields(config.tenants[id], `tenants.${id}.`, errors);
+			});
+		}
+	}
+	return errors;
+}
+
+function readPersonaFile(filePath) {
+	let config;
+	try {
+		config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	} catch (error) {
+		throw new Error(`Could not read the persona config from ${filePath}: ${error.message}`);
+	}
+	const errors = validatePersonaConfig(config);
+	if (errors.length) throw new Error(`Invalid persona config in ${filePath}: ${errors.join('; ')}`);
+	return config;
+}
+
+function resolvePersona(config, tenantId) {
+	const { tenants = {}, ...base } = config;
+	const overrides = tenantId && tenants[tenantId];
+	if (!overrides) return base;
+	const persona = { ...base, ...overrides };
+	MAP_FIELDS.forEach((name) => {
+		persona[name] = { ...base[name], ...overrides[name] };
+	});
+	return persona;
+}
+
+function fill(template, values) {
+	return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+}
+
+function formatList(items) {
+	return items.length > 1 ? `${items.slice(0, -1).join(', ')}, and ${items[items.length - 1]}` : items.join('');
+}
+
+// A language's own template, else `fixed` for a known language, else `auto`
+// (a null language leaves the choice to the model).
+function languageInstruction(persona, language, hinglishScript) {
+	const templates = persona.languages;
+	const template = templates[language] || (LANGUAGES[language] ? templates.fixed : templates.auto);
+	return fill(template, {
+		language: LANGUAGES[language] ? LANGUAGES[language].name : '',
+		script: hinglishScript === 'devanagari' ? 'Devanagari' : 'Roman'
+	});
+}
+
+// The system prompt. `context` (dealer and memory notes) follows the persona;
+// `notes` are the knowledge passages, already numbered. `withPrivacy` adds
+// the note on redaction placeholders.
+function composePrompt(persona, { language = null, hinglishScript = 'roman', context = '', notes = '', withTools = false, withPrivacy = false, today } = {}) {
+	const intro = [
+		persona.persona,
+		fill(persona.refusal, { topics: formatList(persona.topics) }),
+		persona.style,
+		languageInstruction(persona, language, hinglishScript),
+		persona.notes,
+		withPrivacy ? persona.privacy : ''
+	].filter(Boolean).join(' ');
+	let prompt = `${intro}${context}`;
+	if (notes) prompt += `\n\n${persona.knowledge}\n${notes}`;
+	if (withTools) prompt += `\n\n${persona.tools}${today ? ` Today is ${today}.` : ''}`;
+	return prompt;
+}
+
+function greetingFor(persona, language) {
+	return persona.greeting[language] || persona.greeting.en;
+}
+
+// Holds the current config. load() throws on a bad file and keeps the
+// previous config; watch() reloads on change and emits 'reload' with stats
+// or 'invalid' with the error.
+class PersonaStore extends EventEmitter {
+	constructor(filePath) {
+		super();
+		this.filePath = filePath;
+		this.config = null;
+		this.loadedAt = null;
+	}
+
+	load() {
+		this.config = readPersonaFile(this.filePath);
+		this.loadedAt = new Date().toISOString();
+		return this.stats();
+	}
+
+	watch(intervalMs = 2000) {
+		fs.watchFile(this.filePath, { interval: intervalMs }, (current, previous) => {
+			if (current.mtimeMs === previous.mtimeMs) return;
+			try {
+				this.emit('reload', this.load());
+			} catch (error) {
+				this.emit('invalid', error);
+			}
+		}).unref();
+	}
+
+	hasTenant(tenantId) {
+		return !!(this.config.tenants && this.config.tenants[tenantId]);
+	}
+
+	// Unknown or missing tenants get the base persona.
+	forTenant(tenantId) {
+		return resolvePersona(this.config, tenantId);
+	}
+
+	stats() {
+		return { version: this.config.version || null, tenants: Object.keys(this.config.tenants || {}), loadedAt: this.loadedAt };
+	}
+}
+
+module.exports = { PersonaStore, validatePersonaConfig, readPersonaFile, resolvePersona, composePrompt, languageInstruction, greetingFor, TENANT_ID };
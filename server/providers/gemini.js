@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { readSseJson } = require('../sse');
+const { encodeWavFromPCM16 } = require('../audio');
+const { ProviderError, request, post } = require('./http');
+
+const DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+const TRANSCRIPTION_PROMPT = 'Transcribe the speech in this audio verbatim, in the script it was spoken in. Do not answer, translate or summarise it. Report the spoken language as an ISO 639-1 code, or "hinglish" for mixed Hindi and English, and your confidence in the transcript from 0 to 1. If there is no intelligible speech, return an empty transcript with confidence 0.';
+
+const BLOCKED_FINISH_REASONS = new Set(['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII']);
+
+const TRANSCRIPTION_SCHEMA = {
+	type: 'OBJECT',
+	properties: {
+		transcript: { type: 'STRING' },
+		language: { type: 'STRING' },
+		confidence: { type: 'NUMBER' }
+	},
+	required: ['transcript', 'language', 'confidence']
+};
+
+function toContents(messages) {
+	return messages.map(msg => {
+		if (msg.role === 'tool') {
+			return {
+				role: 'user',
+				parts: msg.results.map(r => ({ functionResponse: { name: r.name, response: r.result } }))
+			};
+		}
+		const parts = [];
+		if (msg.text) parts.push({ text: msg.text });
+		(msg.toolCalls || []).forEach(call => parts.push({ functionCall: { name: call.name, args: call.args } }));
+		return { role: msg.role === 'model' ? 'model' : 'user', parts };
+	});
+}
+
+function assertNotBlocked(data) {
+	const blockReason = data?.promptFeedback?.blockReason;
+	const finishReason = data?.candidates?.[0]?.finishReason;
+	if (blockReason || BLOCKED_FINISH_REASONS.has(finishReason)) {
+		throw new ProviderError(`Response blocked by safety filters (${blockReason || finishReason})`, {
+			code: 'safety_blocked',
+			provider: 'gemini'
+		});
+	}
+}
+
+function toUsage(metadata) {
+	if (!metadata) return undefined;
+	return {
+		promptTokens: metadata.promptTokenCount || 0,
+		outputTokens: (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0)
+	};
+}
+
+class GeminiProvider {
+	constructor({ apiKey, model, baseUrl = DEFAULT_BASE_URL, fetch: fetchImpl = globalThis.fetch } = {}) {
+		this.name = 'gemini';
+		this.apiKey = apiKey;
+		this.model = model;
+		this.baseUrl = baseUrl.replace(/\/$/, '');
+		this.fetch = fetchImpl;
+		this.configured = !!apiKey;
+	}
+
+	_url(method, query = '') {
+		return `${this.baseUrl}/models/${this.model}:${method}?${query}key=${this.apiKey}`;
+	}
+
+	_request(system, messages) {
+		const body = { contents: toContents(messages) };
+		if (system) body.system_instruction = { parts: [{ text: system }] };
+		return body;
+	}
+
+	async transcribe({ audio, languageCode, signal } = {}) {
+		const body = {
+			contents: [{
+				role: 'user',
+				parts: [
+					{ text: languageCode ? `${TRANSCRIPTION_PROMPT} The user most likely speaks: ${languageCode}.` : TRANSCRIPTION_PROMPT },
+					{ inline_data: { mime_type: 'audio/wav', data: encodeWavFromPCM16(audio).toString('base64') } }
+				]
+			}],
+			generationConfig: {
+				temperature: 0,
+				responseMimeType: 'application/json',
+				responseSchema: TRANSCRIPTION_SCHEMA
+			}
+		};
+		const response = await post(this.fetch, this._url('generateContent'), body, { provider: this.name, signal });
+		const data = await response.json();
+		assertNotBlocked(data);
+		const responseText = data?.candidates?.[0]?.content?.parts?.[0]?.text;
+		if (!responseText) {
+			throw new Error('No text found in transcription response');
+		}
+		const result = JSON.parse(responseText);
+		const transcript = typeof result.transcript === 'string' ? result.transcript.trim() : '';
+		const confidence = Number(result.confidence);
+		return {
+			transcript,
+			language: typeof result.language === 'string' ? result.language.toLowerCase() : languageCode || 'en',
+			confidence: transcript && Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0,
+			usage: toUsage(data.usageMetadata)
+		};
+	}
+
+	async generate({ system, messages, signal } = {}) {
+		const response = await post(this.fetch, this._url('generateContent'), this._request(system, messages), {
+			provider: this.name,
+			signal
+		});
+		const data = await response.json();
+		assertNotBlocked(data);
+		const parts = data?.candidates?.[0]?.content?.parts || [];
+		return { text: parts.map(part => part.text || '').join('') };
+	}
+
+	async *stream({ system, messages, tools = [], signal } = {}) {
+		const body = this._request(system, messages);
+		if (tools.length) body.tools = [{ functionDeclarations: tools }];
+		const response = await post(this.fetch, this._url('streamGenerateContent', 'alt=sse&'), body, {
+			provider: this.name,
+			signal
+		});
+		// Chunks carry running totals, so only the last one counts.
+		let usage;
+		for await (const data of readSseJson(response.body)) {
+			assertNotBlocked(data);
+			if (data.usageMetadata) usage = toUsage(data.usageMetadata);
+			const parts = data?.candidates?.[0]?.content?.parts || [];
+			for (const part of parts) {
+				if (part.functionCall) {
+					yield { type: 'tool_call', id: crypto.randomUUID(), name: part.functionCall.name, args: part.functionCall.args || {} };
+				} else if (part.text) {
+					yield { type: 'text', text: part.text };
+				}
+			}
+		}
+		if (usage) yield { type: 'usage', ...usage };
+	}
+
+	async countTokens({ messages, signal } = {}) {
+		const response = await post(this.fetch, this._url('countTokens'), { contents: toContents(messages) }, { provider: this.name, signal });
+		const data = await response.json();
+		return { tokens: data.totalTokens || 0 };
+	}
+
+	// Model metadata lookup: checks the key and model without spending tokens.
+	async healthCheck({ signal } = {}) {
+		await request(this.fetch, `${this.baseUrl}/models/${this.model}?key=${this.apiKey}`, { provider: this.name, signal });
+	}
+}
+
+module.exports = { GeminiProvider };
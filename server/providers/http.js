@@ -0,0 +1,77 @@
+// Error codes sent to clients. Retryable ones may succeed on another attempt.
+const RETRYABLE_CODES = new Set(['rate_limited', 'upstream_unavailable', 'timeout', 'network']);
+
+function codeForStatus(status) {
+	if (status === 429) return 'rate_limited';
+	if (status === 401 || status === 403) return 'auth_failed';
+	if (status === 408 || status === 504) return 'timeout';
+	if (status >= 500) return 'upstream_unavailable';
+	if (status >= 400) return 'bad_request';
+	return 'unknown';
+}
+
+class ProviderError extends Error {
+	constructor(message, { status, provider, body, code, retryAfterMs } = {}) {
+		super(message);
+		this.name = 'ProviderError';
+		this.status = status;
+		this.provider = provider;
+		this.body = body;
+		this.code = code || codeForStatus(status);
+		this.retryAfterMs = retryAfterMs;
+	}
+
+	get retryable() {
+		return RETRYABLE_CODES.has(this.code);
+	}
+}
+
+// Maps anything thrown by a provider call to a ProviderError with a `code`:
+// rate_limited, upstream_unavailable, timeout, network, auth_failed,
+// bad_request, safety_blocked, aborted or unknown.
+function classifyError(error, { aborted = false, timedOut = false } = {}) {
+	if (aborted) return new ProviderError('Request aborted', { code: 'aborted', provider: error && error.provider });
+	if (timedOut) return new ProviderError('Request timed out', { code: 'timeout', provider: error && error.provider });
+	if (error instanceof ProviderError) return error;
+	const causeCode = error && error.cause && error.cause.code;
+	if ((error && error.name === 'TypeError' && /fetch/i.test(error.message)) || /^(ECONN|ENOTFOUND|EAI_AGAIN|ETIMEDOUT|UND_ERR)/.test(causeCode || '')) {
+		return new ProviderError(`Network error: ${causeCode || error.message}`, { code: 'network' });
+	}
+	return new ProviderError(error && error.message ? error.message : String(error), { code: 'unknown' });
+}
+
+function parseRetryAfter(value) {
+	if (!value) return undefined;
+	const seconds = Number(value);
+	if (Number.isFinite(seconds)) return seconds * 1000;
+	const date = Date.parse(value);
+	return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+// Sends a request and throws a ProviderError on non-2xx.
+async function request(fetchImpl, url, { method = 'GET', body, provider, headers = {}, signal } = {}) {
+	const isForm = typeof FormData !== 'undefined' && body instanceof FormData;
+	const init = { method, headers, signal };
+	if (body !== undefined) {
+		init.headers = isForm ? headers : { 'Content-Type': 'application/json', ...headers };
+		init.body = isForm ? body : JSON.stringify(body);
+	}
+	const response = await fetchImpl(url, init);
+	if (!response.ok) {
+		const errorText = await response.text().catch(() => '');
+		throw new ProviderError(`${provider} HTTP ${response.status}: ${errorText}`, {
+			status: response.status,
+			provider,
+			body: errorText,
+			retryAfterMs: parseRetryAfter(response.headers && response.headers.get('retry-after'))
+		});
+	}
+	return response;
+}
+
+// POSTs a JSON (or FormData) body.
+function post(fetchImpl, url, body, options = {}) {
+	return request(fetchImpl, url, { ...options, method: 'POST', body });
+}
+
+module.exports = { ProviderError, RETRYABLE_CODES, classifyError, request, post };
@@ -0,0 +1,29 @@
+const { GeminiProvider } = require('./gemini');
+const { OpenAICompatibleProvider } = require('./openai');
+const { MockProvider } = require('./mock');
+const { ProviderError, classifyError } = require('./http');
+const { ResilientProvider } = require('./resilient');
+
+// Every provider exposes `name`, `model`, `configured` and:
+//   transcribe({ audio, languageCode?, signal }) -> { transcript, language, confidence, usage? }
+//   generate({ system, messages, signal }) -> { text }
+//   countTokens({ messages, signal }) -> { tokens } (optional; Gemini only)
+//   stream({ system, messages, tools, signal }) -> async iterable of
+//     { type: 'text', text } | { type: 'tool_call', id, name, args } |
+//     { type: 'usage', promptTokens, outputTokens } (once, when reported)
+// Messages are { role: 'user' | 'model', text, toolCalls? } or
+// { role: 'tool', results: [{ id, name, result }] }; tools are function declarations.
+function createProvider(name, options = {}) {
+	switch (name) {
+		case 'gemini':
+			return new GeminiProvider(options.gemini);
+		case 'openai':
+			return new OpenAICompatibleProvider(options.openai);
+		case 'mock':
+			return new MockProvider(options.mock);
+		default:
+			throw new Error(`Unknown LLM provider: ${name}`);
+	}
+}
+
+module.exports = { createProvider, ResilientProvider, ProviderError, classifyError };
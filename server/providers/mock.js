@@ -0,0 +1,97 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { ProviderError } = require('./http');
+
+function lookup(value, keyPath) {
+	return keyPath.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+
+function fillTemplate(text, values) {
+	return String(text || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, keyPath) => {
+		const value = lookup(values, keyPath);
+		return value == null ? '' : String(value);
+	});
+}
+
+// Deterministic offline provider: replies come from a fixtures file, matched
+// by regex against the latest user message. See fixtures/mock-provider.json.
+class MockProvider {
+	constructor({ fixturesPath, model = 'fixtures' } = {}) {
+		this.name = 'mock';
+		this.model = model;
+		this.configured = true;
+		this.fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+		this.replies = (this.fixtures.replies || []).map(reply => ({
+			...reply,
+			pattern: new RegExp(reply.match, 'i'),
+			failuresLeft: reply.error ? (reply.error.times || Infinity) : 0
+		}));
+		this.transcriptIndex = 0;
+	}
+
+	_match(messages) {
+		const lastUser = [...messages].reverse().find(msg => msg.role === 'user');
+		const text = lastUser ? lastUser.text : '';
+		return this.replies.find(reply => reply.pattern.test(text)) || null;
+	}
+
+	async _wait(signal) {
+		const delay = Number(this.fixtures.chunkDelayMs) || 0;
+		if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+		if (signal && signal.aborted) {
+			const error = new Error('Aborted');
+			error.name = 'AbortError';
+			throw error;
+		}
+	}
+
+	// Cycles through the fixture transcripts in order; the audio itself is ignored.
+	async transcribe({ languageCode, signal } = {}) {
+		await this._wait(signal);
+		const transcripts = this.fixtures.transcripts || [];
+		if (transcripts.length === 0) return { transcript: '', language: languageCode || 'en', confidence: 0 };
+		const entry = transcripts[this.transcriptIndex % transcripts.length];
+		this.transcriptIndex += 1;
+		return { language: languageCode || 'en', confidence: 1, ...entry };
+	}
+
+	async generate({ messages = [], signal } = {}) {
+		await this._wait(signal);
+		const reply = this._match(messages);
+		return { text: fillTemplate(reply ? reply.text : this.fixtures.fallback, {}) };
+	}
+
+	// A reply with an `error` ({ status, code, times }) fails that many times
+	// before answering, to exercise retries and error events offline.
+	_maybeFail(reply) {
+		if (!reply || reply.failuresLeft <= 0) return;
+		reply.failuresLeft -= 1;
+		const { status, code, message } = reply.error;
+		throw new ProviderError(message || `mock HTTP ${status || 500}`, { status: status || 500, code, provider: this.name });
+	}
+
+	async healthCheck() {}
+
+	async *stream({ messages = [], tools = [], signal } = {}) {
+		const last = messages[messages.length - 1];
+		const reply = this._match(messages);
+		await this._wait(signal);
+		this._maybeFail(reply);
+		const toolNames = new Set(tools.map(tool => tool.name));
+
+		if (reply && reply.toolCall && toolNames.has(reply.toolCall.name) && (!last || last.role !== 'tool')) {
+			await this._wait(signal);
+			yield { type: 'tool_call', id: crypto.randomUUID(), name: reply.toolCall.name, args: reply.toolCall.args || {} };
+			return;
+		}
+
+		const toolResult = last && last.role === 'tool' && last.results[0] ? last.results[0].result : {};
+		const text = fillTemplate(reply ? reply.text : this.fixtures.fallback, toolResult);
+		for (const word of text.match(/\S+\s*/g) || []) {
+			await this._wait(signal);
+			yield { type: 'text', text: word };
+		}
+	}
+}
+
+module.exports = { MockProvider };
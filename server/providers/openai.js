@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const { readSseJson } = require('../sse');
+const { encodeWavFromPCM16 } = require('../audio');
+const { ProviderError, request, post } = require('./http');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+const LANGUAGE_CODES = {
+	english: 'en', hindi: 'hi', marathi: 'mr', bengali: 'bn', gujarati: 'gu', punjabi: 'pa',
+	tamil: 'ta', telugu: 'te', kannada: 'kn', malayalam: 'ml'
+};
+
+// Tool declarations are written in Gemini's schema dialect (upper-case types);
+// OpenAI expects JSON Schema.
+function toJsonSchema(schema) {
+	if (Array.isArray(schema)) return schema.map(toJsonSchema);
+	if (!schema || typeof schema !== 'object') return schema;
+	return Object.fromEntries(Object.entries(schema).map(([key, value]) => [
+		key,
+		key === 'type' && typeof value === 'string' ? value.toLowerCase() : toJsonSchema(value)
+	]));
+}
+
+function toChatMessages(system, messages) {
+	const chat = system ? [{ role: 'system', content: system }] : [];
+	messages.forEach(msg => {
+		if (msg.role === 'tool') {
+			msg.results.forEach(r => chat.push({ role: 'tool', tool_call_id: r.id, content: JSON.stringify(r.result) }));
+			return;
+		}
+		if (msg.role !== 'model') {
+			chat.push({ role: 'user', content: msg.text });
+			return;
+		}
+		const entry = { role: 'assistant', content: msg.text || null };
+		if (msg.toolCalls && msg.toolCalls.length) {
+			entry.tool_calls = msg.toolCalls.map(call => ({
+				id: call.id,
+				type: 'function',
+				function: { name: call.name, arguments: JSON.stringify(call.args || {}) }
+			}));
+		}
+		chat.push(entry);
+	});
+	return chat;
+}
+
+function assertNotFiltered(finishReason) {
+	if (finishReason === 'content_filter') {
+		throw new ProviderError('Response blocked by the content filter', { code: 'safety_blocked', provider: 'openai' });
+	}
+}
+
+function parseArguments(raw) {
+	try {
+		return raw ? JSON.parse(raw) : {};
+	} catch (e) {
+		return {};
+	}
+}
+
+// Any server that speaks the OpenAI chat completions and audio transcription
+// APIs (OpenAI, Azure OpenAI, vLLM, Ollama, LM Studio, ...).
+class OpenAICompatibleProvider {
+	constructor({
+		apiKey,
+		model,
+		transcriptionModel = 'whisper-1',
+		baseUrl = DEFAULT_BASE_URL,
+		fetch: fetchImpl = globalThis.fetch
+	} = {}) {
+		this.name = 'openai';
+		this.apiKey = apiKey;
+		this.model = model;
+		this.transcriptionModel = transcriptionModel;
+		this.baseUrl = baseUrl.replace(/\/$/, '');
+		this.fetch = fetchImpl;
+		// Self-hosted compatible servers usually need no key.
+		this.configured = !!apiKey || this.baseUrl !== DEFAULT_BASE_URL;
+	}
+
+	_headers() {
+		return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+	}
+
+	async transcribe({ audio, languageCode, signal } = {}) {
+		const form = new FormData();
+		form.append('file', new Blob([encodeWavFromPCM16(audio)], { type: 'audio/wav' }), 'audio.wav');
+		form.append('model', this.transcriptionModel);
+		form.append('response_format', 'verbose_json');
+		const hint = !languageCode || languageCode === 'hinglish' ? '' : languageCode.slice(0, 2).toLowerCase();
+		if (hint) form.append('language', hint);
+
+		const response = await post(this.fetch, `${this.baseUrl}/audio/transcriptions`, form, {
+			provider: this.name,
+			headers: this._headers(),
+			signal
+		});
+		const data = await response.json();
+		const transcript = typeof data.text === 'string' ? data.text.trim() : '';
+		const segments = Array.isArray(data.segments) ? data.segments : [];
+		let confidence = transcript ? 1 : 0;
+		if (transcript && segments.length) {
+			const avgLogprob = segments.reduce((sum, seg) => sum + (seg.avg_logprob || 0), 0) / segments.length;
+			const noSpeech = segments.reduce((sum, seg) => sum + (seg.no_speech_prob || 0), 0) / segments.length;
+			confidence = Math.min(1, Math.max(0, Math.exp(avgLogprob) * (1 - noSpeech)));
+		}
+		const language = String(data.language || '').toLowerCase();
+		return {
+			transcript,
+			language: LANGUAGE_CODES[language] || language || hint || languageCode || 'en',
+			confidence
+		};
+	}
+
+	async generate({ system, messages, signal } = {}) {
+		const response = await post(this.fetch, `${this.baseUrl}/chat/completions`, {
+			model: this.model,
+			messages: toChatMessages(system, messages)
+		}, { provider: this.name, headers: this._headers(), signal });
+		const data = await response.json();
+		assertNotFiltered(data?.choices?.[0]?.finish_reason);
+		return { text: data?.choices?.[0]?.message?.content || '' };
+	}
+
+	async *stream({ system, messages, tools = [], signal } = {}) {
+		const body = {
+			model: this.model,
+			messages: toChatMessages(system, messages),
+			stream: true,
+			stream_options: { include_usage: true }
+		};
+		if (tools.length) {
+			body.tools = tools.map(declaration => ({ type: 'function', function: toJsonSchema(declaration) }));
+		}
+		const response = await post(this.fetch, `${this.baseUrl}/chat/completions`, body, {
+			provider: this.name,
+			headers: this._headers(),
+			signal
+		});
+
+		// Tool call names and arguments arrive in fragments keyed by index.
+		const calls = [];
+		let usage;
+		for await (const data of readSseJson(response.body)) {
+			// With include_usage the last chunk has no choices, only usage.
+			if (data.usage) usage = { promptTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 };
+			assertNotFiltered(data?.choices?.[0]?.finish_reason);
+			const delta = data?.choices?.[0]?.delta || {};
+			if (delta.content) yield { type: 'text', text: delta.content };
+			(delta.tool_calls || []).forEach(fragment => {
+				const call = calls[fragment.index] || (calls[fragment.index] = { id: '', name: '', arguments: '' });
+				if (fragment.id) call.id = fragment.id;
+				if (fragment.function?.name) call.name += fragment.function.name;
+				if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+			});
+		}
+		for (const call of calls.filter(Boolean)) {
+			yield { type: 'tool_call', id: call.id || crypto.randomUUID(), name: call.name, args: parseArguments(call.arguments) };
+		}
+		if (usage) yield { type: 'usage', ...usage };
+	}
+
+	async healthCheck({ signal } = {}) {
+		await request(this.fetch, `${this.baseUrl}/models`, { provider: this.name, headers: this._headers(), signal });
+	}
+}
+
+module.exports = { OpenAICompatibleProvider };
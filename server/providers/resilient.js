@@ -0,0 +1,181 @@
+const { classifyError } = require('./http');
+
+function sleep(ms, signal) {
+	return new Promise((resolve, reject) => {
+		if (signal && signal.aborted) return reject(signal.reason);
+		const timer = setTimeout(() => {
+			if (signal) signal.removeEventListener('abort', onAbort);
+			resolve();
+		}, ms);
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(signal.reason);
+		};
+		if (signal) signal.addEventListener('abort', onAbort, { once: true });
+	});
+}
+
+// Wraps a provider with per-attempt timeouts, jittered exponential backoff
+// for retryable errors, an overall deadline and an optional fallback provider.
+// Errors always come out classified (see classifyError). Streams are only
+// retried if nothing has been yielded yet. onFailure fires once a target has
+// used up its retries, not on every attempt. Warnings go to `options.log` when
+// a call passes one, otherwise to `logger`.
+class ResilientProvider {
+	constructor(primary, {
+		fallback = null,
+		retries = 2,
+		baseDelayMs = 500,
+		timeoutMs = 30000,
+		deadlineMs = 45000,
+		onSuccess = () => {},
+		onFailure = () => {},
+		logger = console
+	} = {}) {
+		this.primary = primary;
+		this.fallback = fallback;
+		this.retries = retries;
+		this.baseDelayMs = baseDelayMs;
+		this.timeoutMs = timeoutMs;
+		this.deadlineMs = deadlineMs;
+		this.onSuccess = onSuccess;
+		this.onFailure = onFailure;
+		this.logger = logger;
+	}
+
+	get name() { return this.primary.name; }
+	get model() { return this.primary.model; }
+	get configured() { return this.primary.configured; }
+	get baseUrl() { return this.primary.baseUrl; }
+
+	_targets() {
+		return this.fallback ? [this.primary, this.fallback] : [this.primary];
+	}
+
+	_attemptSignal(parent) {
+		const controller = new AbortController();
+		let timedOut = false;
+		const timer = setTimeout(() => {
+			timedOut = true;
+			controller.abort();
+		}, this.timeoutMs);
+		const onAbort = () => controller.abort();
+		if (parent) {
+			if (parent.aborted) controller.abort();
+			else parent.addEventListener('abort', onAbort, { once: true });
+		}
+		return {
+			signal: controller.signal,
+			timedOut: () => timedOut,
+			cleanup: () => {
+				clearTimeout(timer);
+				if (parent) parent.removeEventListener('abort', onAbort);
+			}
+		};
+	}
+
+	_classify(error, parent, timedOut) {
+		return classifyError(error, { aborted: !!(parent && parent.aborted), timedOut });
+	}
+
+	// Returns the delay before the next attempt, or -1 to give up on this target.
+	_nextDelay(error, attempt, deadline) {
+		if (!error.retryable || attempt >= this.retries) return -1;
+		const backoff = this.baseDelayMs * Math.pow(2, attempt) * (0.5 + Math.random());
+		const delay = Math.max(backoff, error.retryAfterMs || 0);
+		return Date.now() + delay + 1000 < deadline ? delay : -1;
+	}
+
+	async _call(method, options = {}) {
+		const deadline = Date.now() + this.deadlineMs;
+		const log = options.log || this.logger;
+		let lastError;
+		for (const target of this._targets()) {
+			for (let attempt = 0; ; attempt++) {
+				const { signal, timedOut, cleanup } = this._attemptSignal(options.signal);
+				try {
+					const result = await target[method]({ ...options, signal });
+					this.onSuccess(target);
+					return result;
+				} catch (error) {
+					lastError = this._classify(error, options.signal, timedOut());
+					if (lastError.code === 'aborted') throw lastError;
+					const delay = this._nextDelay(lastError, attempt, deadline);
+					if (delay < 0) {
+						this.onFailure(lastError, target);
+						break;
+					}
+					log.warn('Model call failed, retrying', { provider: target.name, model: target.model, method, code: lastError.code, delayMs: Math.round(delay) });
+					await sleep(delay, options.signal).catch(() => { throw classifyError(null, { aborted: true }); });
+				} finally {
+					cleanup();
+				}
+			}
+			if (!lastError.retryable || Date.now() >= deadline) break;
+			if (target !== this.fallback && this.fallback) {
+				log.warn('Falling back to another model', { from: this.primary.model, to: this.fallback.model, code: lastError.code });
+			}
+		}
+		throw lastError;
+	}
+
+	transcribe(options) {
+		return this._call('transcribe', options);
+	}
+
+	generate(options) {
+		return this._call('generate', options);
+	}
+
+	get countsTokens() {
+		return typeof this.primary.countTokens === 'function';
+	}
+
+	countTokens(options) {
+		return this._call('countTokens', options);
+	}
+
+	async *stream(options = {}) {
+		const deadline = Date.now() + this.deadlineMs;
+		const log = options.log || this.logger;
+		let lastError;
+		for (const target of this._targets()) {
+			for (let attempt = 0; ; attempt++) {
+				const { signal, timedOut, cleanup } = this._attemptSignal(options.signal);
+				let yielded = false;
+				try {
+					for await (const event of target.stream({ ...options, signal })) {
+						yielded = true;
+						yield event;
+					}
+					this.onSuccess(target);
+					return;
+				} catch (error) {
+					lastError = this._classify(error, options.signal, timedOut());
+					if (lastError.code === 'aborted') throw lastError;
+					const delay = yielded ? -1 : this._nextDelay(lastError, attempt, deadline);
+					if (delay < 0) {
+						this.onFailure(lastError, target);
+						if (yielded) throw lastError;
+						break;
+					}
+					log.warn('Model call failed, retrying', { provider: target.name, model: target.model, method: 'stream', code: lastError.code, delayMs: Math.round(delay) });
+					await sleep(delay, options.signal).catch(() => { throw classifyError(null, { aborted: true }); });
+				} finally {
+					cleanup();
+				}
+			}
+			if (!lastError.retryable || Date.now() >= deadline) break;
+			if (target !== this.fallback && this.fallback) {
+				log.warn('Falling back to another model', { from: this.primary.model, to: this.fallback.model, code: lastError.code });
+			}
+		}
+		throw lastError;
+	}
+
+	healthCheck(options) {
+		return this.primary.healthCheck(options);
+	}
+}
+
+module.exports = { ResilientProvider };
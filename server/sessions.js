@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const SESSION_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// Tokens are `<sessionId>.<hmac>` so a client can only resume a session the
+// server issued to it.
+function createSessionSigner(secret) {
+	const sign = (sessionId) => crypto.createHmac('sha256', secret).update(sessionId).digest('base64url');
+	return {
+		issue(sessionId) {
+			return `${sessionId}.${sign(sessionId)}`;
+		},
+		verify(token) {
+			if (typeof token !== 'string') return null;
+			const [sessionId, signature] = token.split('.');
+			if (!SESSION_ID_PATTERN.test(sessionId || '') || !signature) return null;
+			const expected = Buffer.from(sign(sessionId));
+			const actual = Buffer.from(signature);
+			if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+			return sessionId;
+		}
+	};
+}
+
+// Stores implement `get(id)`, `set(id, session)` and `delete(id)`; all return
+// promises. Sessions carry an `expiresAt` timestamp and expired ones read as null.
+class MemorySessionStore {
+	constructor() {
+		this.sessions = new Map();
+	}
+
+	async get(id) {
+		const session = this.sessions.get(id);
+		if (!session) return null;
+		if (session.expiresAt <= Date.now()) {
+			this.sessions.delete(id);
+			return null;
+		}
+		return session;
+	}
+
+	async set(id, session) {
+		this.sessions.set(id, session);
+		return session;
+	}
+
+	async delete(id) {
+		this.sessions.delete(id);
+	}
+
+	async prune() {
+		const now = Date.now();
+		this.sessions.forEach((session, id) => {
+			if (session.expiresAt <= now) this.sessions.delete(id);
+		});
+	}
+}
+
+// One JSON file per session so history survives server restarts.
+class FileSessionStore {
+	constructor(dir) {
+		this.dir = dir;
+	}
+
+	_file(id) {
+		return path.join(this.dir, `${id}.json`);
+	}
+
+	async get(id) {
+		let session;
+		try {
+			session = JSON.parse(await fs.readFile(this._file(id), 'utf8'));
+		} catch (error) {
+			if (error.code === 'ENOENT') return null;
+			throw error;
+		}
+		if (session.expiresAt <= Date.now()) {
+			await this.delete(id);
+			return null;
+		}
+		return session;
+	}
+
+	async set(id, session) {
+		await fs.mkdir(this.dir, { recursive: true });
+		const file = this._file(id);
+		const tmp = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+		await fs.writeFile(tmp, JSON.stringify(session), 'utf8');
+		await fs.rename(tmp, file);
+		return session;
+	}
+
+	async delete(id) {
+		await fs.rm(this._file(id), { force: true });
+	}
+
+	async prune() {
+		let files;
+		try {
+			files = await fs.readdir(this.dir);
+		} catch (error) {
+			if (error.code === 'ENOENT') return;
+			throw error;
+		}
+		for (const file of files.filter(name => name.endsWith('.json'))) {
+			await this.get(path.basename(file, '.json')).catch(() => {});
+		}
+	}
+}
+
+function createSessionStore({ type = 'file', dir } = {}) {
+	switch (type) {
+		case 'memory':
+			return new MemorySessionStore();
+		case 'file':
+			return new FileSessionStore(dir);
+		default:
+			throw new Error(`Unknown session store: ${type}`);
+	}
+}
+
+module.exports = { createSessionSigner, createSessionStore, MemorySessionStore, FileSessionStore };
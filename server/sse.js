@@ -0,0 +1,32 @@
+// Yields the parsed JSON payload of each `data:` event in a server-sent
+// events response body (web ReadableStream or Node stream).
+async function* readSseJson(body) {
+	const decoder = new TextDecoder();
+	let buffer = '';
+
+	const parseEvent = (raw) => {
+		const data = raw
+			.split(/\r?\n/)
+			.filter(line => line.startsWith('data:'))
+			.map(line => line.slice(5).trimStart())
+			.join('\n');
+		if (!data || data === '[DONE]') return undefined;
+		return JSON.parse(data);
+	};
+
+	for await (const chunk of body) {
+		buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+		let boundary;
+		while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+			const raw = buffer.slice(0, boundary);
+			buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+			const event = parseEvent(raw);
+			if (event !== undefined) yield event;
+		}
+	}
+	buffer += decoder.decode();
+	const tail = parseEvent(buffer);
+	if (tail !== undefined) yield tail;
+}
+
+module.exports = { readSseJson };
@@ -0,0 +1,182 @@
+const WebSocket = require('ws');
+const { EventEmitter } = require('events');
+const { mulawToPcm16, pcm16ToMulaw, resamplePcm16 } = require('./audio');
+
+// Phone calls through a cloud phone provider's media stream (the Twilio
+// format, which most providers follow): JSON text frames with an `event`.
+// The provider sends connected, start, media (base64 8 kHz μ-law), mark
+// (echoing ours once the caller has heard the audio before it), dtmf and
+// stop; we send media, mark and clear (drop audio not yet played).
+//
+// A MediaStreamCall stands in for the widget's socket: the conversation code
+// sends it the usual /ws messages and it turns ai_audio into μ-law frames,
+// marks the end of each reply and clears the line on barge-in. Everything
+// else is for screens and is dropped.
+const PHONE_SAMPLE_RATE = 8000;
+const FRAME_BYTES = 160; // 20 ms of μ-law
+
+// Emits 'start' ({ streamSid, callSid, customParameters }), 'audio' (8 kHz
+// PCM16 of the caller), 'playback' (true while the caller hears Rev), 'dtmf'
+// (digit) and 'stop'.
+class MediaStreamCall extends EventEmitter {
+	constructor(ws, { log }) {
+		super();
+		this.ws = ws;
+		this.log = log;
+		this.streamSid = null;
+		this.callSid = null;
+		this.carry = Buffer.alloc(0);
+		this.pendingMarks = new Set();
+		this.playing = false;
+		this.sentFrames = 0;
+		ws.on('message', (data, isBinary) => this._receive(data, isBinary));
+	}
+
+	get readyState() {
+		return this.ws.readyState;
+	}
+
+	close(code, reason) {
+		this.ws.close(code, reason);
+	}
+
+	// Takes the JSON messages the conversation code sends to clients.
+	send(data) {
+		const message = JSON.parse(data);
+		switch (message.type) {
+			case 'ai_audio': {
+				const rate = Number((/rate=(\d+)/.exec(message.mimeType) || [])[1]) || 24000;
+				this.play(resamplePcm16(Buffer.from(message.data, 'base64'), rate, PHONE_SAMPLE_RATE));
+				break;
+			}
+			case 'ai_response_done':
+				if (message.fallbackText) this.log.warn('Part of a reply could not be voiced', { turnId: message.turnId });
+				this.mark(message.turnId);
+				break;
+			case 'barge_in':
+			case 'session_cleared':
+				this.clear();
+				break;
+			case 'interrupt_ack':
+				if (message.interrupted) this.clear();
+				break;
+			case 'error':
+				this.log.warn('Call error', { code: message.code, message: message.message });
+				break;
+		}
+	}
+
+	// Queues 8 kHz PCM16 for the caller in 20 ms frames; a partial frame waits
+	// for more audio or the next mark.
+	play(pcm) {
+		if (!this.streamSid) return;
+		const mulaw = Buffer.concat([this.carry, pcm16ToMulaw(pcm)]);
+		const whole = mulaw.length - (mulaw.length % FRAME_BYTES);
+		for (let offset = 0; offset < whole; offset += FRAME_BYTES) {
+			this._sendMedia(mulaw.subarray(offset, offset + FRAME_BYTES));
+		}
+		this.carry = mulaw.subarray(whole);
+	}
+
+	// Flushes the partial frame and asks to be told when the caller has heard
+	// everything so far. Nothing is marked if nothing was played.
+	mark(name) {
+		if (this.carry.length) {
+			this._sendMedia(Buffer.concat([this.carry, Buffer.alloc(FRAME_BYTES - this.carry.length, 0xff)]));
+			this.carry = Buffer.alloc(0);
+		}
+		if (!this.playing || !this.streamSid) return;
+		const markName = `${name || 'reply'}#${this.sentFrames}`;
+		this.pendingMarks.add(markName);
+		this._sendEvent({ event: 'mark', mark: { name: markName } });
+	}
+
+	clear() {
+		this.carry = Buffer.alloc(0);
+		this.pendingMarks.clear();
+		if (this.streamSid) this._sendEvent({ event: 'clear' });
+		this._setPlaying(false);
+	}
+
+	_sendMedia(frame) {
+		this.sentFrames += 1;
+		this._sendEvent({ event: 'media', media: { payload: frame.toString('base64') } });
+		this._setPlaying(true);
+	}
+
+	_sendEvent(event) {
+		if (this.ws.readyState === WebSocket.OPEN) {
+			this.ws.send(JSON.stringify({ ...event, streamSid: this.streamSid }));
+		}
+	}
+
+	_setPlaying(playing) {
+		if (playing === this.playing) return;
+		this.playing = playing;
+		this.emit('playback', playing);
+	}
+
+	_receive(data, isBinary) {
+		let message;
+		try {
+			message = isBinary ? null : JSON.parse(data.toString());
+		} catch (error) {
+			message = null;
+		}
+		if (!message || typeof message.event !== 'string') {
+			this.log.warn('Dropping media stream message that is not a JSON event');
+			return;
+		}
+		switch (message.event) {
+			case 'connected':
+				break;
+			case 'start':
+				this._start({ streamSid: message.streamSid, ...message.start });
+				break;
+			case 'media': {
+				const media = message.media || {};
+				if (!this.streamSid || (media.track && media.track !== 'inbound') || typeof media.payload !== 'string') return;
+				this.emit('audio', mulawToPcm16(Buffer.from(media.payload, 'base64')));
+				break;
+			}
+			case 'mark': {
+				const name = message.mark && message.mark.name;
+				if (!this.pendingMarks.delete(name)) return;
+				if (this.pendingMarks.size === 0 && !this.carry.length) this._setPlaying(false);
+				break;
+			}
+			case 'dtmf':
+				if (message.dtmf && message.dtmf.digit) this.emit('dtmf', String(message.dtmf.digit));
+				break;
+			case 'stop':
+				this.emit('stop');
+				break;
+			default:
+				this.log.debug('Ignoring media stream event', { event: message.event.slice(0, 32) });
+		}
+	}
+
+	_start(start) {
+		if (this.streamSid) {
+			this.log.warn('Ignoring a second start event');
+			return;
+		}
+		const format = start.mediaFormat || {};
+		if ((format.encoding && format.encoding !== 'audio/x-mulaw') || (format.sampleRate && Number(format.sampleRate) !== PHONE_SAMPLE_RATE)) {
+			this.log.error('Unsupported media format, hanging up', { encoding: format.encoding, sampleRate: format.sampleRate });
+			this.close(1003, 'Only 8 kHz audio/x-mulaw is supported');
+			return;
+		}
+		if (typeof start.streamSid !== 'string' || !start.streamSid) {
+			this.log.error('Start event without a streamSid, hanging up');
+			this.close(1008, 'streamSid is required');
+			return;
+		}
+		this.streamSid = start.streamSid;
+		this.callSid = typeof start.callSid === 'string' ? start.callSid : null;
+		const customParameters = start.customParameters && typeof start.customParameters === 'object' ? start.customParameters : {};
+		this.emit('start', { streamSid: this.streamSid, callSid: this.callSid, customParameters });
+	}
+}
+
+module.exports = { MediaStreamCall, PHONE_SAMPLE_RATE, FRAME_BYTES };
@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const { LeadError } = require('./leads');
+const { normalizeModelName } = require('./knowledge');
+
+const MAX_BOOKING_DAYS_AHEAD = 60;
+const CHARGER_EFFICIENCY = 0.85;
+const DEFAULT_TARIFF_PER_UNIT = 8;
+
+class ToolError extends Error {}
+
+function listModels(knowledgeBase) {
+	return knowledgeBase.documents.filter(doc => doc.model).map(doc => doc.model);
+}
+
+function findModel(knowledgeBase, name) {
+	const wanted = normalizeModelName(name);
+	const model = listModels(knowledgeBase).find(m => normalizeModelName(m.name) === wanted);
+	if (!model) {
+		const names = listModels(knowledgeBase).map(m => m.name).join(', ');
+		throw new ToolError(`Unknown model "${name}". Available models: ${names}`);
+	}
+	return model;
+}
+
+function listDealers(knowledgeBase) {
+	return knowledgeBase.documents
+		.filter(doc => doc.dealer)
+		.map(doc => ({ ...doc.dealer, name: doc.title, details: doc.text }));
+}
+
+function requireNumber(args, key, { min = -Infinity, max = Infinity } = {}) {
+	const value = Number(args[key]);
+	if (args[key] === undefined || !Number.isFinite(value) || value < min || value > max) {
+		throw new ToolError(`"${key}" must be a number between ${min} and ${max}`);
+	}
+	return value;
+}
+
+function normalizeContact(contact) {
+	const value = String(contact || '').trim();
+	const phone = value.replace(/[\s-]/g, '').replace(/^(\+91|0)/, '');
+	if (/^[6-9]\d{9}$/.test(phone)) return { type: 'phone', value: phone };
+	if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return { type: 'email', value: value.toLowerCase() };
+	throw new ToolError('"contact" must be a 10-digit Indian mobile number or an email address');
+}
+
+function createTools({ knowledgeBase, bookingStore, leads }) {
+	return {
+		findDealer: {
+			declaration: {
+				name: 'findDealer',
+				description: 'Find Revolt dealerships near a pincode or in a city. Use before booking a test ride.',
+				parameters: {
+					type: 'OBJECT',
+					properties: {
+						pincode: { type: 'STRING', description: '6-digit Indian pincode' },
+						city: { type: 'STRING', description: 'City name' }
+					}
+				}
+			},
+			handler: async (args) => {
+				const pincode = String(args.pincode || '').replace(/\s/g, '');
+				const city = String(args.city || '').trim().toLowerCase();
+				if (!pincode && !city) throw new ToolError('Provide a pincode or a city');
+				if (pincode && !/^\d{6}$/.test(pincode)) throw new ToolError('"pincode" must have 6 digits');
+
+				const dealers = listDealers(knowledgeBase);
+				let matches = [];
+				if (pincode) {
+					matches = dealers.filter(d => d.pincode === pincode);
+					if (matches.length === 0) matches = dealers.filter(d => d.pincode.slice(0, 3) === pincode.slice(0, 3));
+				}
+				if (matches.length === 0 && city) {
+					matches = dealers.filter(d => d.city.toLowerCase() === city);
+				}
+				return {
+					dealers: matches.map(({ id, name, city: dealerCity, pincode: dealerPincode, details }) => ({
+						id, name, city: dealerCity, pincode: dealerPincode, details
+					})),
+					message: matches.length ? undefined : 'No Revolt dealer found for that location yet.'
+				};
+			}
+		},
+
+		bookTestRide: {
+			declaration: {
+				name: 'bookTestRide',
+				description: 'Book a free test ride at a Revolt dealership. Confirm model, dealer, date/time and contact with the user first.',
+				parameters: {
+					type: 'OBJECT',
+					properties: {
+						model: { type: 'STRING', description: 'Model name, e.g. RV400 or RV1+' },
+						dealerId: { type: 'STRING', description: 'Dealer id returned by findDealer' },
+						slot: { type: 'STRING', description: 'Requested date and time in ISO 8601, e.g. 2026-10-21T11:00' },
+						contact: { type: 'STRING', description: 'Mobile number or email of the rider' }
+					},
+					required: ['model', 'dealerId', 'slot', 'contact']
+				}
+			},
+			handler: async (args, context = {}) => {
+				const model = findModel(knowledgeBase, args.model);
+				const dealer = listDealers(knowledgeBase).find(d => d.id === String(args.dealerId || '').toUpperCase());
+				if (!dealer) throw new ToolError(`Unknown dealerId "${args.dealerId}". Use findDealer first.`);
+
+				const slot = new Date(args.slot);
+				const now = Date.now();
+				if (Number.isNaN(slot.getTime())) throw new ToolError('"slot" must be an ISO 8601 date and time');
+				if (slot.getTime() < now) throw new ToolError('"slot" must be in the future');
+				if (slot.getTime() > now + MAX_BOOKING_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+					throw new ToolError(`Test rides can be booked up to ${MAX_BOOKING_DAYS_AHEAD} days ahead`);
+				}
+
+				const booking = {
+					id: `TR-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+					model: model.name,
+					dealerId: dealer.id,
+					dealerName: dealer.name,
+					slot: slot.toISOString(),
+					contact: normalizeContact(args.contact),
+					status: 'requested',
+					sessionId: context.sessionId || null,
+					createdAt: new Date().toISOString()
+				};
+				await bookingStore.save(booking);
+				return {
+					bookingId: booking.id,
+					model: booking.model,
+					dealer: dealer.name,
+					slot: booking.slot,
+					status: booking.status,
+					message: 'The dealer will call to confirm the slot.'
+				};
+			}
+		},
+
+		// Consent is the user's own words in the turn that agreed (context.userText).
+		// When details are unusable, context.showLeadForm lets the user type them.
+		captureLead: {
+			declaration: {
+				name: 'captureLead',
+				description: 'Save a test-ride lead so a Revolt dealer can call the user back. Collect name, mobile number, city and optionally the preferred model, then ask whether Revolt may contact them. Call only after the user clearly agrees, with consent true.',
+				parameters: {
+					type: 'OBJECT',
+					properties: {
+						name: { type: 'STRING', description: 'Full name of the user' },
+						phone: { type: 'STRING', description: '10-digit Indian mobile number' },
+						city: { type: 'STRING', description: 'City the user lives in' },
+						model: { type: 'STRING', description: 'Preferred model, e.g. RV400, if the user has one' },
+						consent: { type: 'BOOLEAN', description: 'True only if the user agreed to be contacted by Revolt' }
+					},
+					required: ['name', 'phone', 'city', 'consent']
+				}
+			},
+			handler: async (args, context = {}) => {
+				if (args.consent !== true) {
+					throw new ToolError('Ask the user whether a Revolt dealer may call them about a test ride, and call again with consent true only if they agree');
+				}
+				try {
+					const { lead, created } = await leads.capture(args, {
+						consent: { method: 'conversation', text: context.userText },
+						source: 'conversation',
+						sessionId: context.sessionId || null,
+						...context.lead
+					});
+					if (context.onLead) context.onLead(lead, created);
+					return {
+						leadId: lead.id,
+						status: created ? 'captured' : 'already_captured',
+						message: 'A Revolt dealer will call the user to set up the test ride.'
+					};
+				} catch (error) {
+					if (!(error instanceof LeadError)) throw error;
+					if (!error.invalid.length || !context.showLeadForm) throw new ToolError(error.message);
+					context.showLeadForm({ prefill: error.value, missing: [...error.invalid, ...error.missing], reason: error.message });
+					throw new ToolError(`${error.message}. A form is now shown so the user can type their details; ask them to fill it in.`);
+				}
+			}
+		},
+
+		calculateEmi: {
+			declaration: {
+				name: 'calculateEmi',
+				description: 'Calculate the monthly EMI for financing a bike.',
+				parameters: {
+					type: 'OBJECT',
+					properties: {
+						price: { type: 'NUMBER', description: 'On-road or ex-showroom price in rupees' },
+						downPayment: { type: 'NUMBER', description: 'Down payment in rupees' },
+						tenure: { type: 'NUMBER', description: 'Loan tenure in months' },
+						rate: { type: 'NUMBER', description: 'Annual interest rate in percent' }
+					},
+					required: ['price', 'downPayment', 'tenure', 'rate']
+				}
+			},
+			handler: async (args) => {
+				const price = requireNumber(args, 'price', { min: 1 });
+				const downPayment = requireNumber(args, 'downPayment', { min: 0, max: price });
+				const tenure = Math.round(requireNumber(args, 'tenure', { min: 1, max: 120 }));
+				const rate = requireNumber(args, 'rate', { min: 0, max: 50 });
+
+				const principal = price - downPayment;
+				const monthlyRate = rate / 12 / 100;
+				const emi = monthlyRate === 0
+					? principal / tenure
+					: principal * monthlyRate * Math.pow(1 + monthlyRate, tenure) / (Math.pow(1 + monthlyRate, tenure) - 1);
+				const totalPayable = emi * tenure;
+				return {
+					loanAmount: Math.round(principal),
+					emi: Math.round(emi),
+					tenureMonths: tenure,
+					annualRate: rate,
+					totalInterest: Math.round(totalPayable - principal),
+					totalPayable: Math.round(totalPayable + downPayment)
+				};
+			}
+		},
+
+		checkChargingCost: {
+			declaration: {
+				name: 'checkChargingCost',
+				description: 'Estimate the electricity cost of charging a Revolt bike at home.',
+				parameters: {
+					type: 'OBJECT',
+					properties: {
+						model: { type: 'STRING', description: 'Model name, e.g. RV400 or RV1' },
+						tariffPerUnit: { type: 'NUMBER', description: 'Electricity tariff in rupees per kWh (default 8)' },
+						dailyKm: { type: 'NUMBER', description: 'Optional daily riding distance in km' }
+					},
+					required: ['model']
+				}
+			},
+			handler: async (args) => {
+				const model = findModel(knowledgeBase, args.model);
+				const tariff = args.tariffPerUnit === undefined
+					? DEFAULT_TARIFF_PER_UNIT
+					: requireNumber(args, 'tariffPerUnit', { min: 0, max: 100 });
+				const unitsPerCharge = model.batteryKwh / CHARGER_EFFICIENCY;
+				const costPerCharge = unitsPerCharge * tariff;
+				const costPerKm = costPerCharge / model.rangeKm;
+				const result = {
+					model: model.name,
+					batteryKwh: model.batteryKwh,
+					claimedRangeKm: model.rangeKm,
+					tariffPerUnit: tariff,
+					unitsPerFullCharge: Number(unitsPerCharge.toFixed(2)),
+					costPerFullCharge: Math.round(costPerCharge),
+					costPerKm: Number(costPerKm.toFixed(2))
+				};
+				if (args.dailyKm !== undefined) {
+					const dailyKm = requireNumber(args, 'dailyKm', { min: 0, max: 1000 });
+					result.monthlyCost = Math.round(costPerKm * dailyKm * 30);
+				}
+				return result;
+			}
+		}
+	};
+}
+
+class ToolRegistry {
+	constructor(tools = {}) {
+		this.tools = tools;
+	}
+
+	register(name, tool) {
+		this.tools[name] = tool;
+	}
+
+	declarations() {
+		return Object.values(this.tools).map(tool => tool.declaration);
+	}
+
+	// Never throws: failures are returned to the model as { error } so it can
+	// ask the user for what is missing. Unexpected failures go to `context.log`.
+	async execute(name, args = {}, context = {}) {
+		const tool = this.tools[name];
+		if (!tool) return { error: `Unknown tool "${name}"` };
+		try {
+			return await tool.handler(args || {}, context);
+		} catch (error) {
+			if (error instanceof ToolError) return { error: error.message };
+			(context.log || console).error('Tool failed', { tool: name, error });
+			return { error: 'The tool failed unexpectedly. Please try again later.' };
+		}
+	}
+}
+
+function createToolRegistry(dependencies) {
+	return new ToolRegistry(createTools(dependencies));
+}
+
+module.exports = { createToolRegistry, ToolRegistry, ToolError };
@@ -0,0 +1,177 @@
+const { post } = require('./providers/http');
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// TTS providers implement `synthesize(text, { languageCode, signal })`, an
+// async iterable of { pcm: Buffer (PCM16 LE mono), sampleRate } chunks.
+// `voices` maps a language code to the voice used for it instead of `voice`.
+class GeminiTts {
+	constructor({ apiKey, model = 'gemini-2.5-flash-preview-tts', voice = 'Kore', voices = {}, baseUrl = GEMINI_BASE_URL, fetch: fetchImpl = globalThis.fetch } = {}) {
+		this.name = 'gemini';
+		this.apiKey = apiKey;
+		this.model = model;
+		this.voice = voice;
+		this.voices = voices;
+		this.baseUrl = baseUrl.replace(/\/$/, '');
+		this.fetch = fetchImpl;
+	}
+
+	async *synthesize(text, { languageCode, signal } = {}) {
+		const body = {
+			contents: [{ role: 'user', parts: [{ text }] }],
+			generationConfig: {
+				responseModalities: ['AUDIO'],
+				speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName: this.voices[languageCode] || this.voice } } }
+			}
+		};
+		const url = `${this.baseUrl}/models/${this.model}:generateContent?key=${this.apiKey}`;
+		const response = await post(this.fetch, url, body, { provider: 'gemini-tts', signal });
+		const data = await response.json();
+		const parts = data?.candidates?.[0]?.content?.parts || [];
+		for (const part of parts) {
+			const inline = part.inlineData;
+			if (!inline || !inline.data) continue;
+			const rate = /rate=(\d+)/.exec(inline.mimeType || '');
+			yield { pcm: Buffer.from(inline.data, 'base64'), sampleRate: rate ? Number(rate[1]) : 24000 };
+		}
+	}
+}
+
+// OpenAI-compatible `/audio/speech` with raw PCM output, streamed as it arrives.
+class OpenAITts {
+	constructor({ apiKey, model = 'gpt-4o-mini-tts', voice = 'alloy', voices = {}, baseUrl = OPENAI_BASE_URL, fetch: fetchImpl = globalThis.fetch } = {}) {
+		this.name = 'openai';
+		this.apiKey = apiKey;
+		this.model = model;
+		this.voice = voice;
+		this.voices = voices;
+		this.baseUrl = baseUrl.replace(/\/$/, '');
+		this.fetch = fetchImpl;
+	}
+
+	async *synthesize(text, { languageCode, signal } = {}) {
+		const response = await post(this.fetch, `${this.baseUrl}/audio/speech`, {
+			model: this.model,
+			voice: this.voices[languageCode] || this.voice,
+			input: text,
+			response_format: 'pcm'
+		}, {
+			provider: 'openai-tts',
+			headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+			signal
+		});
+		let carry = Buffer.alloc(0);
+		for await (const chunk of response.body) {
+			const bytes = Buffer.concat([carry, Buffer.from(chunk)]);
+			const even = bytes.length & ~1;
+			carry = bytes.subarray(even);
+			if (even) yield { pcm: bytes.subarray(0, even), sampleRate: 24000 };
+		}
+	}
+}
+
+// Offline stand-in: a quiet tone whose length follows the word count.
+class MockTts {
+	constructor({ sampleRate = 24000, msPerWord = 250 } = {}) {
+		this.name = 'mock';
+		this.sampleRate = sampleRate;
+		this.msPerWord = msPerWord;
+	}
+
+	async *synthesize(text) {
+		const words = (text.match(/\S+/g) || []).length;
+		const samples = Math.round(this.sampleRate * this.msPerWord * words / 1000);
+		const pcm = Buffer.alloc(samples * 2);
+		for (let i = 0; i < samples; i++) {
+			pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 220 * i / this.sampleRate) * 1500), i * 2);
+		}
+		yield { pcm, sampleRate: this.sampleRate };
+	}
+}
+
+function createTtsProvider(name, options = {}) {
+	switch (name) {
+		case 'browser':
+		case 'none':
+			return null;
+		case 'gemini':
+			return new GeminiTts(options.gemini);
+		case 'openai':
+			return new OpenAITts(options.openai);
+		case 'mock':
+			return new MockTts(options.mock);
+		default:
+			throw new Error(`Unknown TTS provider: ${name}`);
+	}
+}
+
+const SENTENCE_BOUNDARY = /[.!?।]+["')\]]*\s+/g;
+
+// Turns streamed reply text into sentence-sized synthesis requests, spoken in
+// order. If synthesis fails, the rest of the reply is returned as
+// `unspokenText` so the client can read it with browser speech instead.
+class SpeechQueue {
+	constructor(tts, { languageCode, signal, onAudio, log = console }) {
+		this.tts = tts;
+		this.log = log;
+		this.languageCode = languageCode;
+		this.signal = signal;
+		this.onAudio = onAudio;
+		this.buffer = '';
+		this.chain = Promise.resolve();
+		this.spoken = false;
+		this.failed = false;
+		this.unspoken = [];
+	}
+
+	push(text) {
+		this.buffer += text;
+		let start = 0;
+		let match;
+		SENTENCE_BOUNDARY.lastIndex = 0;
+		while ((match = SENTENCE_BOUNDARY.exec(this.buffer)) !== null) {
+			this._enqueue(this.buffer.slice(start, match.index + match[0].length));
+			start = match.index + match[0].length;
+		}
+		this.buffer = this.buffer.slice(start);
+	}
+
+	async finish() {
+		this._enqueue(this.buffer);
+		this.buffer = '';
+		await this.chain;
+		return { spoken: this.spoken, unspokenText: this.unspoken.join(' ') };
+	}
+
+	_enqueue(raw) {
+		const sentence = raw.replace(/\s*\[\d+\]/g, '').trim();
+		if (!sentence) return;
+		this.chain = this.chain.then(() => this._speak(sentence));
+	}
+
+	async _speak(sentence) {
+		if (this.signal && this.signal.aborted) return;
+		if (this.failed) {
+			this.unspoken.push(sentence);
+			return;
+		}
+		try {
+			let chunks = 0;
+			for await (const chunk of this.tts.synthesize(sentence, { languageCode: this.languageCode, signal: this.signal })) {
+				if (this.signal && this.signal.aborted) return;
+				chunks += 1;
+				this.spoken = true;
+				this.onAudio(chunk);
+			}
+			if (chunks === 0) throw new Error('No audio in the TTS response');
+		} catch (error) {
+			if (this.signal && this.signal.aborted) return;
+			this.log.error('TTS failed, falling back to browser speech', { tts: this.tts.name, error });
+			this.failed = true;
+			this.unspoken.push(sentence);
+		}
+	}
+}
+
+module.exports = { createTtsProvider, SpeechQueue, GeminiTts, OpenAITts, MockTts };
@@ -0,0 +1,141 @@
+const { EventEmitter } = require('events');
+
+// One conversation's turns, run one at a time. A turn moves through the
+// phases listening (Live voice only), transcribing, thinking and speaking;
+// between turns the state is listening while the mic is open, speaking while
+// the client is still playing the last reply, and idle otherwise.
+//
+// Starting a turn cancels the active one (speech takes the floor). Work that
+// must not cut the active turn short, like typed messages, waits in a queue
+// via whenIdle(), and stays queued while the user is mid-utterance so it is
+// not started only to be cut off by the voice turn that follows.
+//
+// Emits 'state' with { state, turnId } on every change.
+class TurnManager extends EventEmitter {
+	constructor({ maxQueued = 2, logger = console } = {}) {
+		super();
+		this.maxQueued = maxQueued;
+		this.logger = logger;
+		this.active = null;
+		this.running = false;
+		this.queue = [];
+		this.listening = false;
+		this.playing = false;
+		this.userSpeaking = false;
+		this.current = { state: 'idle', turnId: null };
+	}
+
+	get state() {
+		if (this.active) return this.active.phase;
+		if (this.playing) return 'speaking';
+		return this.listening ? 'listening' : 'idle';
+	}
+
+	begin({ id, source, phase = 'transcribing' }) {
+		this._abort();
+		const abortController = new AbortController();
+		this.active = { id, source, phase, abortController, signal: abortController.signal };
+		this._update();
+		return this.active;
+	}
+
+	setPhase(turn, phase) {
+		if (turn !== this.active || turn.phase === phase) return;
+		turn.phase = phase;
+		this._update();
+	}
+
+	isActive(turn) {
+		return !!turn && turn === this.active && !turn.signal.aborted;
+	}
+
+	// Finishes `turn` if it is still the active one and starts the next queued task.
+	end(turn) {
+		if (turn !== this.active) return;
+		this.active = null;
+		this._update();
+		this._next();
+	}
+
+	// Aborts the active turn; the next queued task, if any, starts.
+	cancel() {
+		const turn = this._abort();
+		this._next();
+		return turn;
+	}
+
+	// Runs `task` now if no turn is active, otherwise after the active turn and
+	// anything queued before it. Returns false when the queue is full.
+	whenIdle(task) {
+		if (!this.active && !this.running && !this.userSpeaking && this.queue.length === 0) {
+			this._run(task);
+			return true;
+		}
+		if (this.queue.length >= this.maxQueued) return false;
+		this.queue.push(task);
+		return true;
+	}
+
+	clearQueue() {
+		this.queue = [];
+	}
+
+	setListening(listening) {
+		this.listening = listening;
+		this._update();
+	}
+
+	setPlaying(playing) {
+		this.playing = playing;
+		this._update();
+	}
+
+	setUserSpeaking(speaking) {
+		this.userSpeaking = speaking;
+		this._next();
+	}
+
+	close() {
+		this.clearQueue();
+		this.cancel();
+		this.removeAllListeners();
+	}
+
+	_abort() {
+		const turn = this.active;
+		if (!turn) return null;
+		this.active = null;
+		try { turn.abortController.abort(); } catch (e) {}
+		this._update();
+		return turn;
+	}
+
+	_next() {
+		if (this.active || this.running || this.userSpeaking) return;
+		const task = this.queue.shift();
+		if (task) this._run(task);
+	}
+
+	// Tasks start synchronously so their turn is active before anything else
+	// runs. The queue moves on once the task has settled and its turn (which
+	// may outlive it, as with Live) has ended.
+	_run(task) {
+		this.running = true;
+		new Promise(resolve => resolve(task()))
+			.catch(error => this.logger.error('Queued turn failed', { error }))
+			.finally(() => {
+				this.running = false;
+				this._next();
+			});
+	}
+
+	_update() {
+		const state = this.state;
+		const turnId = this.active ? this.active.id : null;
+		if (state === this.current.state && turnId === this.current.turnId) return;
+		this.current = { state, turnId };
+		this.emit('state', this.current);
+	}
+}
+
+module.exports = { TurnManager };
@@ -0,0 +1,156 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+const { pcm16FromBuffer, TARGET_SAMPLE_RATE } = require('./audio');
+
+const DEFAULT_VAD_OPTIONS = {
+	sampleRate: TARGET_SAMPLE_RATE,
+	frameMs: 20,
+	energyThreshold: 500,
+	zcrMax: 0.35,
+	speechProbability: 0.5,
+	startMs: 100,
+	hangoverMs: 700,
+	minSpeechMs: 300,
+	prerollMs: 300,
+	maxUtteranceMs: 30000
+};
+
+// Default detector: a frame is speech when its RMS energy is above the
+// threshold and its zero-crossing rate is low enough not to be hiss.
+function energyZcrDetector({ energyThreshold, zcrMax } = DEFAULT_VAD_OPTIONS) {
+	return (samples) => {
+		if (samples.length === 0) return false;
+		let sumSquares = 0;
+		let crossings = 0;
+		for (let i = 0; i < samples.length; i++) {
+			sumSquares += samples[i] * samples[i];
+			if (i > 0 && (samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+		}
+		const rms = Math.sqrt(sumSquares / samples.length);
+		const zcr = crossings / samples.length;
+		return rms >= energyThreshold && zcr <= zcrMax;
+	};
+}
+
+// A custom detector module exports `(options) => (samples, frameMs) => boolean | probability`.
+function loadDetector(modulePath, options) {
+	const factory = require(path.resolve(modulePath));
+	const detector = (typeof factory === 'function' ? factory : factory.default)(options);
+	if (typeof detector !== 'function') {
+		throw new Error(`VAD detector module ${modulePath} did not return a function`);
+	}
+	return detector;
+}
+
+// Segments a PCM16 stream into utterances. Emits 'speech_start' ({ preroll }),
+// 'audio' (PCM captured while speaking), 'speech_end' ({ audio, speechMs })
+// and 'speech_discarded' ({ speechMs }) for blips shorter than minSpeechMs.
+class VoiceActivityDetector extends EventEmitter {
+	constructor(options = {}) {
+		super();
+		this.options = { ...DEFAULT_VAD_OPTIONS, ...options };
+		this.customDetector = typeof this.options.detector === 'function';
+		this.detector = this.customDetector ? this.options.detector : energyZcrDetector(this.options);
+		this.frameSamples = Math.round(this.options.sampleRate * this.options.frameMs / 1000);
+		this.prerollFrames = Math.ceil(this.options.prerollMs / this.options.frameMs);
+		this.reset();
+	}
+
+	reset() {
+		this.remainder = Buffer.alloc(0);
+		this.speaking = false;
+		this.recentFrames = [];
+		this.utterance = [];
+		this.pendingAudio = [];
+		this.voicedMs = 0;
+		this.silenceMs = 0;
+		this.speechMs = 0;
+		this.utteranceMs = 0;
+	}
+
+	updateOptions(options) {
+		this.options = { ...this.options, ...options };
+		if (!this.customDetector) this.detector = energyZcrDetector(this.options);
+	}
+
+	push(pcm) {
+		const data = this.remainder.length ? Buffer.concat([this.remainder, pcm]) : pcm;
+		const frameBytes = this.frameSamples * 2;
+		let offset = 0;
+		for (; offset + frameBytes <= data.length; offset += frameBytes) {
+			const frame = data.subarray(offset, offset + frameBytes);
+			this._processFrame(frame, this._isSpeech(frame));
+		}
+		this.remainder = Buffer.from(data.subarray(offset));
+		this._flushAudio();
+	}
+
+	flush() {
+		if (this.speaking) this._endSpeech();
+		this.remainder = Buffer.alloc(0);
+	}
+
+	_isSpeech(frame) {
+		const result = this.detector(pcm16FromBuffer(frame), this.options.frameMs);
+		return typeof result === 'number' ? result >= this.options.speechProbability : !!result;
+	}
+
+	_processFrame(frame, voiced) {
+		const { frameMs, startMs, hangoverMs, maxUtteranceMs } = this.options;
+
+		if (!this.speaking) {
+			this.recentFrames.push(frame);
+			if (this.recentFrames.length > this.prerollFrames) this.recentFrames.shift();
+			this.voicedMs = voiced ? this.voicedMs + frameMs : 0;
+			if (this.voicedMs >= startMs) {
+				this.speaking = true;
+				this.speechMs = this.voicedMs;
+				this.silenceMs = 0;
+				this.utterance = this.recentFrames;
+				this.utteranceMs = this.utterance.length * frameMs;
+				this.recentFrames = [];
+				this.emit('speech_start', { preroll: Buffer.concat(this.utterance) });
+			}
+			return;
+		}
+
+		this.utterance.push(frame);
+		this.pendingAudio.push(frame);
+		this.utteranceMs += frameMs;
+		if (voiced) {
+			this.speechMs += this.silenceMs + frameMs;
+			this.silenceMs = 0;
+		} else {
+			this.silenceMs += frameMs;
+		}
+		if (this.silenceMs >= hangoverMs || this.utteranceMs >= maxUtteranceMs) {
+			this._endSpeech();
+		}
+	}
+
+	_flushAudio() {
+		if (this.pendingAudio.length === 0) return;
+		const audio = Buffer.concat(this.pendingAudio);
+		this.pendingAudio = [];
+		this.emit('audio', audio);
+	}
+
+	_endSpeech() {
+		this._flushAudio();
+		const audio = Buffer.concat(this.utterance);
+		const speechMs = this.speechMs;
+		this.speaking = false;
+		this.utterance = [];
+		this.voicedMs = 0;
+		this.silenceMs = 0;
+		this.speechMs = 0;
+		this.utteranceMs = 0;
+		if (speechMs < this.options.minSpeechMs) {
+			this.emit('speech_discarded', { speechMs });
+		} else {
+			this.emit('speech_end', { audio, speechMs });
+		}
+	}
+}
+
+module.exports = { VoiceActivityDetector, energyZcrDetector, loadDetector, DEFAULT_VAD_OPTIONS };
@@ -0,0 +1,233 @@
+// The /ws protocol, shared by the server (require) and the widget (served as
+// /protocol.js, defines window.RevProtocol).
+//
+// Text frames are JSON objects with a `type`. User audio travels as binary
+// frames (see server/audio.js) or as `audio_data` messages. The client opens
+// with `hello`; the server answers with `welcome` and rejects anything else
+// first. Fields not listed here are ignored, so optional fields can be added
+// without a version bump; anything else needs a new PROTOCOL_VERSION.
+(function (root, factory) {
+	if (typeof module === 'object' && module.exports) module.exports = factory();
+	else root.RevProtocol = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+	const PROTOCOL_VERSION = 1;
+	const SUPPORTED_VERSIONS = [1];
+
+	// What the client can handle; omitted capabilities default to true.
+	//   binaryAudio: sends binary audio frames (otherwise audio_data messages)
+	//   streaming:   renders ai_response_delta (otherwise only ai_response_done)
+	//   serverTts:   plays ai_audio (otherwise speaks replies itself)
+	const CAPABILITIES = ['binaryAudio', 'streaming', 'serverTts'];
+
+	const optional = schema => Object.assign({}, schema, { optional: true });
+	const string = (options = {}) => Object.assign({ type: 'string' }, options);
+	const boolean = { type: 'boolean' };
+	const number = (options = {}) => Object.assign({ type: 'number' }, options);
+	const integer = (options = {}) => Object.assign({ type: 'integer' }, options);
+	const object = (fields) => ({ type: 'object', fields });
+	const array = { type: 'array' };
+
+	// Clients may name their own text turns; the server names the rest
+	// `<connectionId>.<n>`.
+	const TURN_ID = string({ pattern: /^[\w.:-]{1,64}$/ });
+
+	// Conversation states reported by `state`; see server/turns.js.
+	const TURN_STATES = ['idle', 'listening', 'transcribing', 'thinking', 'speaking'];
+
+	// Reply languages for set_language; `auto` follows each user turn.
+	const LANGUAGES = ['auto', 'en', 'hi', 'hinglish', 'mr', 'bn', 'gu', 'pa', 'ta', 'te', 'kn', 'ml'];
+	const HINGLISH_SCRIPTS = ['roman', 'devanagari'];
+
+	const CLIENT_MESSAGES = {
+		hello: {
+			version: integer({ min: 1 }),
+			capabilities: optional(object(Object.fromEntries(CAPABILITIES.map(name => [name, optional(boolean)])))),
+			client: optional(string({ maxLength: 100 })),
+			language: optional(string({ enum: LANGUAGES })),
+			hinglishScript: optional(string({ enum: HINGLISH_SCRIPTS }))
+		},
+		start_mic: {
+			mode: optional(string({ enum: ['push_to_talk', 'hands_free'] })),
+			languageCode: optional(string({ minLength: 1, maxLength: 35 })),
+			vad: optional(object({
+				energyThreshold: optional(number()),
+				hangoverMs: optional(number()),
+				minSpeechMs: optional(number())
+			})),
+			bargeIn: optional(object({
+				enabled: optional(boolean),
+				sensitivity: optional(string({ enum: ['low', 'medium', 'high'] })),
+				graceMs: optional(number())
+			}))
+		},
+		stop_mic: {},
+		set_language: {
+			language: string({ enum: LANGUAGES }),
+			hinglishScript: optional(string({ enum: HINGLISH_SCRIPTS }))
+		},
+		audio_data: {
+			seq: integer({ min: 0 }),
+			sampleRate: integer({ min: 8000, max: 48000 }),
+			data: string({ pattern: /^[A-Za-z0-9+/]*={0,2}$/ })
+		},
+		text_message: {
+			text: string({ pattern: /\S/ }),
+			turnId: optional(TURN_ID)
+		},
+		interrupt: {
+			turnId: optional(TURN_ID)
+		},
+		playback_state: {
+			speaking: boolean,
+			turnId: optional(TURN_ID)
+		},
+		clear_session: {},
+		// The lead form; `consent` is the user ticking the consent box, whose
+		// wording is sent as `consentText`.
+		submit_lead: {
+			name: string({ maxLength: 100 }),
+			phone: string({ maxLength: 20 }),
+			city: string({ maxLength: 60 }),
+			model: optional(string({ maxLength: 40 })),
+			consent: boolean,
+			consentText: optional(string({ maxLength: 500 }))
+		}
+	};
+
+	const SERVER_MESSAGES = {
+		welcome: {
+			version: integer(),
+			capabilities: object({})
+		},
+		connection_status: {
+			connected: boolean,
+			sessionToken: optional(string()),
+			resumed: optional(boolean),
+			history: optional(array),
+			limits: optional(object({}))
+		},
+		model_status: {
+			connected: boolean,
+			provider: optional(string()),
+			model: optional(string())
+		},
+		mic_status: {
+			started: boolean,
+			mode: optional(string())
+		},
+		greeting: { text: string(), language: optional(string()) },
+		language_status: { language: string({ enum: LANGUAGES }), hinglishScript: string({ enum: HINGLISH_SCRIPTS }) },
+		state: { state: string({ enum: TURN_STATES }), turnId: optional(TURN_ID) },
+		speech_started: {},
+		speech_ended: {
+			durationMs: optional(number()),
+			discarded: optional(boolean)
+		},
+		user_message: { text: string(), turnId: TURN_ID, replyLanguage: optional(string()) },
+		user_transcript: { text: string(), turnId: TURN_ID, replyLanguage: optional(string()), confidence: optional(number()), lowConfidence: optional(boolean) },
+		tool_call: { id: string(), name: string(), args: object({}), turnId: TURN_ID },
+		tool_result: { id: string(), name: string(), result: object({}), turnId: TURN_ID },
+		ai_response_delta: { text: string(), turnId: TURN_ID },
+		ai_audio: { data: string(), mimeType: string(), turnId: TURN_ID },
+		ai_response_done: { text: string(), turnId: TURN_ID, citations: optional(array), guardrail: optional(string()) },
+		barge_in: { turnId: optional(TURN_ID) },
+		interrupt_ack: { interrupted: boolean, turnId: optional(TURN_ID) },
+		session_cleared: {},
+		lead_form: {
+			prefill: optional(object({})),
+			missing: optional(array),
+			reason: optional(string())
+		},
+		lead_status: {
+			leadId: string(),
+			status: string({ enum: ['captured', 'already_captured'] }),
+			source: string({ enum: ['conversation', 'form'] })
+		},
+		error: {
+			code: string(),
+			message: string(),
+			retryable: optional(boolean),
+			turnId: optional(TURN_ID),
+			errors: optional(array)
+		}
+	};
+
+	function typeError(schema) {
+		return schema.type === 'integer' ? 'must be an integer' : `must be ${schema.type === 'object' || schema.type === 'array' ? 'an' : 'a'} ${schema.type}`;
+	}
+
+	function checkValue(schema, value, path, errors) {
+		const fail = message => errors.push({ path, message });
+		switch (schema.type) {
+			case 'string':
+				if (typeof value !== 'string') return fail(typeError(schema));
+				if (schema.minLength !== undefined && value.length < schema.minLength) return fail(`must be at least ${schema.minLength} characters`);
+				if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail(`must be at most ${schema.maxLength} characters`);
+				if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of ${schema.enum.join(', ')}`);
+				if (schema.pattern && !schema.pattern.test(value)) return fail('has an invalid format');
+				return;
+			case 'integer':
+			case 'number':
+				if (typeof value !== 'number' || !Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) return fail(typeError(schema));
+				if (schema.min !== undefined && value < schema.min) return fail(`must be at least ${schema.min}`);
+				if (schema.max !== undefined && value > schema.max) return fail(`must be at most ${schema.max}`);
+				return;
+			case 'boolean':
+				if (typeof value !== 'boolean') fail(typeError(schema));
+				return;
+			case 'array':
+				if (!Array.isArray(value)) fail(typeError(schema));
+				return;
+			case 'object':
+				if (!value || typeof value !== 'object' || Array.isArray(value)) return fail(typeError(schema));
+				checkFields(schema.fields || {}, value, `${path}.`, errors);
+				return;
+			default:
+				return;
+		}
+	}
+
+	function checkFields(fields, value, prefix, errors) {
+		Object.keys(fields).forEach((name) => {
+			const path = `${prefix}${name}`;
+			if (value[name] === undefined) {
+				if (!fields[name].optional) errors.push({ path, message: 'is required' });
+				return;
+			}
+			checkValue(fields[name], value[name], path, errors);
+		});
+	}
+
+	// Returns { ok: true } or { ok: false, code, errors: [{ path, message }] }
+	// with code invalid_message or unknown_type.
+	function validate(schemas, message) {
+		if (!message || typeof message !== 'object' || Array.isArray(message) || typeof message.type !== 'string') {
+			return { ok: false, code: 'invalid_message', errors: [{ path: 'type', message: 'is required' }] };
+		}
+		if (!Object.prototype.hasOwnProperty.call(schemas, message.type)) {
+			return { ok: false, code: 'unknown_type', errors: [{ path: 'type', message: 'is not a known message type' }] };
+		}
+		const errors = [];
+		checkFields(schemas[message.type], message, '', errors);
+		return errors.length ? { ok: false, code: 'invalid_message', errors } : { ok: true };
+	}
+
+	// Capabilities from hello with the defaults filled in.
+	function clientCapabilities(requested = {}) {
+		return Object.fromEntries(CAPABILITIES.map(name => [name, requested[name] !== false]));
+	}
+
+	return {
+		PROTOCOL_VERSION,
+		SUPPORTED_VERSIONS,
+		CAPABILITIES,
+		TURN_STATES,
+		LANGUAGES,
+		HINGLISH_SCRIPTS,
+		CLIENT_MESSAGES,
+		SERVER_MESSAGES,
+		validateClientMessage: message => validate(CLIENT_MESSAGES, message),
+		validateServerMessage: message => validate(SERVER_MESSAGES, message),
+		clientCapabilities
+	};
+}));